@@ -6,13 +6,18 @@
  */
 
 import { program } from 'commander';
-import { readFile } from 'fs/promises';
+import { readFile, writeFile } from 'fs/promises';
 import { DateTime } from 'luxon';
 import { SlackStatusScheduler } from '../src/index.js';
+import { createFileStateStore } from '../src/state/index.js';
 import { validateSchedule, quickValidate } from '../src/scheduler/validator.js';
 import { safeTestToken } from '../src/slack/client.js';
 import { createLogger } from '../src/utils/logger.js';
 import { getNextExecutionDescription } from '../src/scheduler/evaluator.js';
+import { createWorkCalendar } from '../src/scheduler/calendar.js';
+import { getStatusVariants } from '../src/scheduler/status-pool.js';
+import { describeActiveHours, isClearingStatus } from '../src/scheduler/default-status.js';
+import { HOLIDAY_COUNTRIES } from '../src/holidays/index.js';
 
 // Package info
 const packageJson = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
@@ -41,19 +46,34 @@ program
       if (validation.valid) {
         console.log('✅ Schedule configuration is valid');
 
+        if (validation.warnings?.length > 0) {
+          console.log('\nWarnings:');
+          validation.warnings.forEach(warning => {
+            console.log(`  ⚠️  ${warning}`);
+          });
+        }
+
         if (options.verbose) {
           console.log('\nSchedule details:');
+          const calendar = createWorkCalendar(schedule);
+
           console.log(`  Timezone: ${schedule.timezone}`);
+          console.log(`  Work week: ${calendar.workWeek.join(', ')}`);
           console.log(`  Rules: ${schedule.rules.length}`);
 
           if (schedule.rules.length > 0) {
             console.log('\nRule summary:');
             schedule.rules.forEach((rule, index) => {
-              console.log(`  ${index + 1}. ${rule.id || 'Unnamed'} (${rule.type})`);
+              const disabled = rule.enabled === false ? ' [disabled]' : '';
+              console.log(`  ${index + 1}. ${rule.id || 'Unnamed'} (${rule.type})${disabled}`);
               if (rule.status) {
-                console.log(`     Status: "${rule.status.text}" ${rule.status.emoji}`);
+                console.log(`     Status: ${describeStatus(rule.status)}`);
+              } else if (rule.slots) {
+                console.log(`     Slots: ${rule.slots.length}`);
+              } else if (rule.steps) {
+                console.log(`     Steps: ${rule.steps.length}`);
               }
-              console.log(`     ${getNextExecutionDescription(rule, schedule.timezone)}`);
+              console.log(`     ${getNextExecutionDescription(rule, schedule.timezone, calendar)}`);
             });
           }
         }
@@ -118,6 +138,11 @@ program
             console.log();
           });
         }
+
+        const defaultStatus = scheduler.schedule.options?.default_status_on_clear;
+        if (defaultStatus) {
+          console.log(`💤 When no rule matches: ${describeDefaultStatus(defaultStatus)}`);
+        }
       } else {
         const targetDate = options.date ? DateTime.fromISO(options.date) : DateTime.now();
 
@@ -137,12 +162,18 @@ program
           console.log('✅ Status would be updated');
           console.log(`   Text: "${result.status.text}"`);
           console.log(`   Emoji: ${result.status.emoji}`);
-          console.log(`   Rule: ${result.rule}`);
+          console.log(`   Rule: ${result.default ? 'default status' : result.rule}`);
 
           if (result.expiration) {
             const expireTime = DateTime.fromISO(result.expiration);
             console.log(`   Expires: ${expireTime.toLocaleString(DateTime.DATETIME_MED)}`);
           }
+
+          const rule = scheduler.schedule.rules.find(candidate => candidate.id === result.rule);
+          if (rule?.type === 'sequence') {
+            console.log('   Sequence:');
+            describeSequenceSteps(rule).forEach(step => console.log(`     • ${step}`));
+          }
         } else if (result.action === 'clear_status') {
           console.log('🗑️  Status would be cleared');
         }
@@ -164,43 +195,18 @@ program
   .option('-d, --date <date>', 'Date to run for (defaults to now)')
   .option('--dry-run', 'Perform a dry run without making actual changes')
   .option('--clear-if-not-matched', 'Clear status when no rules match')
+  .option('-s, --state <file>', 'Remember the applied status in a file and skip repeat updates')
+  .option('-f, --force', 'Update Slack even if the status is already set')
   .option('-v, --verbose', 'Show detailed logs')
   .action(async (schedulePath, options) => {
     try {
       const logger = createLogger(options.verbose ? 'debug' : 'info');
-
-      // Get token from option or environment
-      const token = options.token || process.env.SLACK_TOKEN;
-
-      if (!options.dryRun && !token) {
-        console.error(
-          '❌ Slack token required. Use --token option or set SLACK_TOKEN environment variable',
-        );
-        process.exit(1);
-      }
-
-      // Validate token format if provided
-      if (token && !options.dryRun) {
-        console.log('🔐 Testing Slack token...');
-
-        const tokenTest = await safeTestToken(token);
-        if (!tokenTest.success) {
-          console.error('❌ Token validation failed:', tokenTest.error);
-          process.exit(1);
-        }
-
-        if (!tokenTest.hasRequiredPermissions) {
-          console.error('❌ Token missing required permissions:', tokenTest.permissionError);
-          console.error('   Make sure your token has the "users.profile:write" scope');
-          process.exit(1);
-        }
-
-        console.log(`✅ Token valid for user: ${tokenTest.user} in team: ${tokenTest.team}`);
-      }
+      const token = await getVerifiedToken(options);
 
       const scheduler = new SlackStatusScheduler({
         dryRun: options.dryRun,
         logger,
+        stateStore: options.state ? createFileStateStore(options.state) : undefined,
       });
 
       await scheduler.initialize(schedulePath, token);
@@ -224,19 +230,24 @@ program
         `🚀 ${options.dryRun ? 'Dry run' : 'Running'} scheduler for ${targetDate.toISODate()}...\n`,
       );
 
-      const result = await scheduler.run(targetDate);
+      const result = await scheduler.run(targetDate, { force: options.force });
 
       if (result.success) {
-        if (result.action === 'no_change') {
+        if (result.action === 'no_change' || result.action === 'unchanged') {
           console.log('ℹ️  No changes made');
           console.log(`   ${result.message}`);
         } else if (result.action === 'update_status') {
           console.log(`✅ Status ${options.dryRun ? 'would be' : ''} updated`);
           console.log(`   Text: "${result.status.text}"`);
           console.log(`   Emoji: ${result.status.emoji}`);
-          console.log(`   Rule: ${result.rule}`);
+          console.log(`   Rule: ${result.default ? 'default status' : result.rule}`);
         } else if (result.action === 'clear_status') {
           console.log(`🗑️  Status ${options.dryRun ? 'would be' : ''} cleared`);
+        } else if (result.action === 'manual_change') {
+          const { text, emoji } = result.manualStatus;
+          console.log('✋ Status was changed manually, leaving it alone');
+          console.log(`   Current: "${text}" ${emoji}`);
+          console.log(`   Until: ${DateTime.fromISO(result.until).toFormat('yyyy-MM-dd HH:mm')}`);
         }
       } else {
         console.error('❌ Scheduler failed');
@@ -251,6 +262,64 @@ program
     }
   });
 
+/**
+ * Daemon command - keep running and update the status at each transition
+ */
+program
+  .command('daemon')
+  .description('Run continuously, updating Slack status whenever the schedule changes')
+  .argument('<schedule>', 'Path to schedule.json file')
+  .option('-t, --token <token>', 'Slack user token (or set SLACK_TOKEN env var)')
+  .option('--dry-run', 'Log the changes without making them')
+  .option('-s, --state <file>', 'Remember the applied status in a file across restarts')
+  .option('-v, --verbose', 'Show detailed logs')
+  .action(async (schedulePath, options) => {
+    try {
+      const logger = createLogger(options.verbose ? 'debug' : 'info');
+      const token = await getVerifiedToken(options);
+
+      const scheduler = new SlackStatusScheduler({
+        dryRun: options.dryRun,
+        logger,
+        stateStore: options.state ? createFileStateStore(options.state) : undefined,
+      });
+
+      await scheduler.initialize(schedulePath, token);
+
+      const shutdown = signal => {
+        console.log(`\n👋 Received ${signal}, stopping...`);
+        scheduler.stop();
+      };
+      const reload = () => {
+        console.log('🔄 Received SIGHUP, reloading schedule...');
+        scheduler.reload();
+      };
+
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+      process.on('SIGHUP', reload);
+
+      console.log(
+        `🚀 ${options.dryRun ? 'Dry run daemon' : 'Daemon'} started. ` +
+          'Press Ctrl+C to stop, send SIGHUP to reload.\n',
+      );
+
+      try {
+        await scheduler.start();
+      } finally {
+        process.off('SIGINT', shutdown);
+        process.off('SIGTERM', shutdown);
+        process.off('SIGHUP', reload);
+      }
+    } catch (error) {
+      console.error('❌ Daemon failed:', error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
 /**
  * Test command - test Slack token and connection
  */
@@ -325,32 +394,119 @@ program
         return;
       }
 
+      const calendar = createWorkCalendar(schedule);
+      console.log(`Work week: ${calendar.workWeek.join(', ')}`);
+      if (schedule.holidays) {
+        console.log(`Holidays: ${describeHolidays(schedule.holidays)}`);
+      }
+
+      if (validation.warnings.length > 0) {
+        console.log('\n⚠️  Validation warnings:');
+        validation.warnings.forEach(warning => {
+          console.log(`   • ${warning}`);
+        });
+      }
+
       console.log(`\n📝 Rules (${schedule.rules.length}):`);
       schedule.rules.forEach((rule, index) => {
-        console.log(`\n${index + 1}. ${rule.id || 'Unnamed Rule'}`);
+        const disabled = rule.enabled === false ? ' [disabled]' : '';
+        console.log(`\n${index + 1}. ${rule.id || 'Unnamed Rule'}${disabled}`);
         console.log(`   Type: ${rule.type}`);
-        console.log(`   Status: "${rule.status.text}" ${rule.status.emoji}`);
+        if (rule.slots) {
+          console.log('   Slots:');
+          rule.slots.forEach(slot => console.log(`     • ${describeDayOverride(slot)}`));
+        } else if (rule.steps) {
+          console.log('   Steps:');
+          describeSequenceSteps(rule).forEach(step => console.log(`     • ${step}`));
+        } else {
+          console.log(`   Status: ${describeStatus(rule.status)}`);
+        }
 
         switch (rule.type) {
           case 'weekly':
             console.log(`   Days: ${rule.days.join(', ')}`);
+            if (rule.week_interval > 1) {
+              console.log(
+                `   Cadence: Every ${rule.week_interval} weeks (anchor ${rule.anchor_date})`,
+              );
+            }
             break;
           case 'every_n_days':
             console.log(`   Start: ${rule.start_date}`);
-            console.log(`   Interval: Every ${rule.interval_days} days`);
+            console.log(`   Interval: Every ${describeInterval(rule)}`);
             break;
           case 'dates':
             console.log(
               `   Dates: ${rule.dates.slice(0, 3).join(', ')}${rule.dates.length > 3 ? '...' : ''}`,
             );
             break;
+          case 'monthly':
+            console.log(`   On: ${describeMonthlyRule(rule)}`);
+            break;
+          case 'annual':
+            console.log(`   Every year on: ${rule.on.map(describeAnnualEntry).join(', ')}`);
+            if (rule.span_days > 1) {
+              console.log(`   Span: ${rule.span_days} days`);
+            }
+            break;
+          case 'date_range':
+            console.log(`   Range: ${rule.start} to ${rule.end}`);
+            if (rule.first_day) {
+              console.log(`   First day: ${describeDayOverride(rule.first_day)}`);
+            }
+            if (rule.last_day) {
+              console.log(`   Last day: ${describeDayOverride(rule.last_day)}`);
+            }
+            break;
+          case 'cron':
+            console.log(`   Expression: ${rule.expression}`);
+            break;
+          case 'composite':
+            console.log(`   When: ${describeCondition(rule.when)}`);
+            break;
+          case 'sequence':
+            console.log(`   When: ${rule.when ? describeCondition(rule.when) : 'every day'}`);
+            break;
         }
 
         if (rule.time) {
           console.log(`   Time: ${rule.time}`);
         }
 
-        console.log(`   ${getNextExecutionDescription(rule, schedule.timezone)}`);
+        if (rule.tz && rule.tz !== schedule.timezone) {
+          console.log(`   Timezone: ${rule.tz}`);
+        }
+
+        if (rule.duration_minutes) {
+          console.log(`   Duration: ${rule.duration_minutes} minutes`);
+        } else if (rule.end_time) {
+          console.log(`   Until: ${rule.end_time}`);
+        }
+
+        if (rule.active_from || rule.active_until) {
+          const from = rule.active_from ? ` from ${rule.active_from}` : '';
+          const until = rule.active_until ? ` until ${rule.active_until}` : '';
+          console.log(`   Active:${from}${until}`);
+        }
+
+        if (rule.skip_holidays) {
+          console.log('   Skips public holidays');
+        }
+
+        if (rule.on_non_working_day && rule.on_non_working_day !== 'keep') {
+          console.log(`   On non-working days: ${rule.on_non_working_day}`);
+        }
+
+        if (rule.except_dates?.length > 0) {
+          console.log(`   Except: ${rule.except_dates.join(', ')}`);
+        }
+
+        if (rule.except_ranges?.length > 0) {
+          const ranges = rule.except_ranges.map(range => `${range.start} to ${range.end}`);
+          console.log(`   Except ranges: ${ranges.join(', ')}`);
+        }
+
+        console.log(`   ${getNextExecutionDescription(rule, schedule.timezone, calendar)}`);
       });
 
       if (schedule.options) {
@@ -358,6 +514,20 @@ program
         if (schedule.options.clear_when_no_match !== undefined) {
           console.log(`   Clear when no match: ${schedule.options.clear_when_no_match}`);
         }
+        if (schedule.options.clear_on_manual_change !== undefined) {
+          const timeout = schedule.options.manual_change_timeout_minutes;
+          const limit = timeout ? ` (for up to ${timeout} minutes)` : '';
+          console.log(
+            `   Leave manual changes: ${schedule.options.clear_on_manual_change}${limit}`,
+          );
+        }
+        if (schedule.options.default_status_on_clear) {
+          const defaultStatus = describeDefaultStatus(schedule.options.default_status_on_clear);
+          console.log(`   Default status: ${defaultStatus}`);
+        }
+        if (schedule.options.match_strategy) {
+          console.log(`   Match strategy: ${schedule.options.match_strategy}`);
+        }
         if (schedule.options.log_level) {
           console.log(`   Log level: ${schedule.options.log_level}`);
         }
@@ -368,6 +538,312 @@ program
     }
   });
 
+/**
+ * Get the Slack token from the options or environment and check it works
+ * Exits the process when a live run has no usable token
+ * @param {Object} options - Command options with token and dryRun
+ * @returns {Promise<string|undefined>} Token, if one was given
+ */
+async function getVerifiedToken(options) {
+  // Get token from option or environment
+  const token = options.token || process.env.SLACK_TOKEN;
+
+  if (!options.dryRun && !token) {
+    console.error(
+      '❌ Slack token required. Use --token option or set SLACK_TOKEN environment variable',
+    );
+    process.exit(1);
+  }
+
+  // Validate token format if provided
+  if (token && !options.dryRun) {
+    console.log('🔐 Testing Slack token...');
+
+    const tokenTest = await safeTestToken(token);
+    if (!tokenTest.success) {
+      console.error('❌ Token validation failed:', tokenTest.error);
+      process.exit(1);
+    }
+
+    if (!tokenTest.hasRequiredPermissions) {
+      console.error('❌ Token missing required permissions:', tokenTest.permissionError);
+      console.error('   Make sure your token has the "users.profile:write" scope');
+      process.exit(1);
+    }
+
+    console.log(`✅ Token valid for user: ${tokenTest.user} in team: ${tokenTest.team}`);
+  }
+
+  return token;
+}
+
+/**
+ * Describe which day of the month a monthly rule runs on
+ * @param {Object} rule - Monthly rule
+ * @returns {string} Description such as "2nd tue of the month"
+ */
+function describeMonthlyRule(rule) {
+  if (rule.day_of_month !== undefined) {
+    return `Day ${rule.day_of_month} of the month`;
+  }
+
+  if (rule.weekday !== undefined) {
+    return `${formatWeekOfMonth(rule.week)} ${rule.weekday} of the month`;
+  }
+
+  return 'Last business day of the month';
+}
+
+/**
+ * Describe a single annual date entry
+ * @param {string|Object} entry - 'MM-DD' string, { date } or { month, weekday, week }
+ * @returns {string} Description such as "4th thu of November (2 days)"
+ */
+function describeAnnualEntry(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+
+  const span = entry.span_days > 1 ? ` (${entry.span_days} days)` : '';
+
+  if (entry.date) {
+    return `${entry.date}${span}`;
+  }
+
+  const month = DateTime.fromObject({ month: entry.month }).toFormat('LLLL');
+  return `${formatWeekOfMonth(entry.week)} ${entry.weekday} of ${month}${span}`;
+}
+
+/**
+ * Describe a first_day or last_day override of a date range rule, or a time slot
+ * @param {Object} override - Day override or slot
+ * @returns {string} Description such as "from 15:00, "Heading out" 🌴"
+ */
+function describeDayOverride(override) {
+  const parts = [];
+
+  if (override.time) {
+    parts.push(`from ${override.time}`);
+  }
+  if (override.end_time) {
+    parts.push(`until ${override.end_time}`);
+  }
+  if (override.duration_minutes) {
+    parts.push(`for ${override.duration_minutes} minutes`);
+  }
+  if (override.status) {
+    parts.push(describeStatus(override.status));
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Describe a status, listing the variants of a status pool
+ * @param {Object} status - Status configuration
+ * @returns {string} Description such as ""Deep work" 🧠" or
+ *   "one of "Deep work" 🧠 | "Heads down" 🎧 (round_robin)"
+ */
+function describeStatus(status) {
+  if (!status.pool) {
+    return `"${status.text}" ${status.emoji}`;
+  }
+
+  const variants = getStatusVariants(status).map(variant => describeStatus(variant));
+  return `one of ${variants.join(' | ')} (${status.pick || 'round_robin'})`;
+}
+
+/**
+ * Describe the default status applied when no rule matches
+ * @param {Object} defaultStatus - options.default_status_on_clear
+ * @returns {string} Description such as ""Available" ✅ during 09:00-17:00 (expires 18:00)"
+ */
+function describeDefaultStatus(defaultStatus) {
+  let description = isClearingStatus(defaultStatus)
+    ? 'clear status'
+    : describeStatus(defaultStatus);
+
+  if (defaultStatus.active_hours) {
+    description += ` during ${describeActiveHours(defaultStatus.active_hours)}`;
+  }
+  if (defaultStatus.expire_hour !== undefined) {
+    description += ` (expires ${String(defaultStatus.expire_hour).padStart(2, '0')}:00)`;
+  }
+
+  return description;
+}
+
+/**
+ * Describe the steps of a sequence rule with the times each one runs
+ * @param {Object} rule - Sequence rule
+ * @returns {Array<string>} Descriptions such as "12:00-13:00 "At lunch" 🍽️"
+ */
+function describeSequenceSteps(rule) {
+  let start = DateTime.fromFormat(rule.time || '00:00', 'HH:mm');
+
+  return rule.steps.map(step => {
+    const end = start.plus({ minutes: step.duration_minutes });
+    const description = `${start.toFormat('HH:mm')}-${end.toFormat('HH:mm')} ${describeStatus(step.status)}`;
+    start = end;
+    return description;
+  });
+}
+
+/**
+ * Describe a schedule's holiday settings
+ * @param {Object} holidays - Holiday settings with country and optional region
+ * @returns {string} Description such as "United States (California)"
+ */
+function describeHolidays(holidays) {
+  const country = HOLIDAY_COUNTRIES[holidays.country];
+  const region = holidays.region ? ` (${country.regions[holidays.region]})` : '';
+  return `${country.name}${region}`;
+}
+
+/**
+ * Describe the interval of an every_n_days rule
+ * @param {Object} rule - Interval rule
+ * @returns {string} Description such as "3 business days"
+ */
+function describeInterval(rule) {
+  if (rule.interval === undefined) {
+    return `${rule.interval_days} days`;
+  }
+
+  const unit = (rule.interval_unit || 'days').replace('_', ' ');
+  return `${rule.interval} ${rule.interval === 1 ? unit.slice(0, -1) : unit}`;
+}
+
+/**
+ * Describe a composite rule's when tree on a single line
+ * @param {Object} condition - Combinator or condition
+ * @returns {string} Description such as "weekly tue AND NOT (1st tue of the month)"
+ */
+function describeCondition(condition) {
+  if (condition.all || condition.any) {
+    const children = (condition.all || condition.any).map(child => {
+      const description = describeCondition(child);
+      return child.all || child.any ? `(${description})` : description;
+    });
+    return children.join(condition.all ? ' AND ' : ' OR ');
+  }
+
+  if (condition.not) {
+    return `NOT (${describeCondition(condition.not)})`;
+  }
+
+  switch (condition.type) {
+    case 'weekly': {
+      const cadence = condition.week_interval > 1 ? ` every ${condition.week_interval} weeks` : '';
+      return `weekly ${condition.days.join(', ')}${cadence}`;
+    }
+    case 'every_n_days':
+      return `every ${describeInterval(condition)} from ${condition.start_date}`;
+    case 'dates':
+      return `dates ${condition.dates.join(', ')}`;
+    case 'monthly':
+      return describeMonthlyRule(condition);
+    case 'annual':
+      return `every year on ${condition.on.map(describeAnnualEntry).join(', ')}`;
+    case 'date_range':
+      return `${condition.start} to ${condition.end}`;
+    case 'cron':
+      return `cron ${condition.expression}`;
+    default:
+      return condition.type;
+  }
+}
+
+/**
+ * Format a week of the month as an ordinal ("1st", "2nd", "last")
+ * @param {number|string} week - Week of the month (1-5) or 'last'
+ * @returns {string} Ordinal label
+ */
+function formatWeekOfMonth(week) {
+  const ordinals = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th' };
+  return ordinals[week] || week;
+}
+
+/**
+ * Rule command - manage individual rules in a schedule file
+ */
+const ruleCommand = program.command('rule').description('Manage rules in a schedule file');
+
+ruleCommand
+  .command('enable')
+  .description('Enable a rule')
+  .argument('<id>', 'Rule ID')
+  .argument('[schedule]', 'Path to schedule.json file', 'schedule.json')
+  .action(async (ruleId, schedulePath) => {
+    await setRuleEnabled(schedulePath, ruleId, true);
+  });
+
+ruleCommand
+  .command('disable')
+  .description('Disable a rule without removing it')
+  .argument('<id>', 'Rule ID')
+  .argument('[schedule]', 'Path to schedule.json file', 'schedule.json')
+  .action(async (ruleId, schedulePath) => {
+    await setRuleEnabled(schedulePath, ruleId, false);
+  });
+
+/**
+ * Serialize JSON with the indentation, line endings and trailing newline of
+ * the file it was read from
+ * @param {string} source - Original file contents
+ * @param {Object} value - Value to serialize
+ * @returns {string} JSON text formatted like the original
+ */
+function formatLike(source, value) {
+  const indent = source.match(/^[ \t]+(?=")/m)?.[0] ?? '';
+  const newline = source.includes('\r\n') ? '\r\n' : '\n';
+  const json = JSON.stringify(value, null, indent).replace(/\n/g, newline);
+
+  return /\r?\n$/.test(source) ? `${json}${newline}` : json;
+}
+
+/**
+ * Toggle the enabled flag of a rule and write the schedule back to disk
+ * @param {string} schedulePath - Path to schedule.json file
+ * @param {string} ruleId - ID of the rule to update
+ * @param {boolean} enabled - New value of the enabled flag
+ */
+async function setRuleEnabled(schedulePath, ruleId, enabled) {
+  const label = enabled ? 'enabled' : 'disabled';
+
+  try {
+    const source = await readFile(schedulePath, 'utf8');
+    const schedule = JSON.parse(source);
+    const rule = schedule.rules?.find(candidate => candidate.id === ruleId);
+
+    if (!rule) {
+      console.error(`❌ Rule not found: ${ruleId}`);
+      process.exit(1);
+    }
+
+    if ((rule.enabled !== false) === enabled) {
+      console.log(`ℹ️  Rule ${ruleId} is already ${label}`);
+      return;
+    }
+
+    rule.enabled = enabled;
+
+    const validation = validateSchedule(schedule);
+    if (!validation.valid) {
+      console.error(`❌ Not saving ${schedulePath}, the schedule would be invalid:`);
+      validation.errors.forEach(error => console.error(`   • ${error}`));
+      process.exit(1);
+    }
+
+    await writeFile(schedulePath, formatLike(source, schedule));
+
+    console.log(`✅ Rule ${ruleId} ${label}`);
+  } catch (error) {
+    console.error(`❌ Failed to update rule ${ruleId}:`, error.message);
+    process.exit(1);
+  }
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, _promise) => {
   console.error('❌ Unhandled promise rejection:', reason);
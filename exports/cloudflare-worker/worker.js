@@ -10,8 +10,13 @@
  * 2. Set environment variables: SLACK_TOKEN, SCHEDULE_CONFIG
  * 3. Configure cron triggers for automatic execution
  * 4. Optionally set up HTTP triggers for manual execution
+ * 5. Optionally bind a KV namespace as SCHEDULER_STATE so that runs skip
+ *    updates when the status is already set
  */
 
+// KV key holding the last applied status
+const STATE_KEY = 'last-applied';
+
 // Core scheduler logic - minimal implementation for Worker environment
 class SlackStatusScheduler {
   constructor(token) {
@@ -55,8 +60,12 @@ class SlackStatusScheduler {
     // Convert current time to timestamp for easier comparison
     const now = currentTime.getTime();
 
-    // Find the first matching rule (first-match-wins)
+    // Find the first matching rule (first-match-wins), ignoring disabled rules
     for (const rule of schedule.rules) {
+      if (rule.enabled === false) {
+        continue;
+      }
+
       if (this.matchesRule(rule, currentTime)) {
         return {
           shouldUpdate: true,
@@ -162,7 +171,8 @@ export default {
       case '/run':
         return await handleSchedulerExecution(env, {
           trigger: 'http',
-          dryRun: url.searchParams.get('dry_run') === 'true'
+          dryRun: url.searchParams.get('dry_run') === 'true',
+          force: url.searchParams.get('force') === 'true'
         });
 
       case '/status':
@@ -209,13 +219,27 @@ async function handleSchedulerExecution(env, options = {}) {
 
     // Evaluate schedule
     const evaluation = scheduler.evaluateSchedule(schedule, currentTime);
+    let action = 'no_change';
 
     if (evaluation.shouldUpdate) {
       logs.push(`Found matching rule: ${evaluation.rule.id}`);
       logs.push(`Status: "${evaluation.status.text}" ${evaluation.status.emoji}`);
 
+      const applied = {
+        action: 'update_status',
+        rule: evaluation.rule.id,
+        status: { text: evaluation.status.text, emoji: evaluation.status.emoji },
+        expiration: evaluation.expirationTime
+          ? new Date(evaluation.expirationTime * 1000).toISOString()
+          : null
+      };
+
       if (options.dryRun) {
         logs.push('DRY RUN: Would update status but skipping actual API call');
+        action = 'update_status';
+      } else if (!options.force && await isAlreadyApplied(env, applied)) {
+        logs.push('Status already set - skipping update');
+        action = 'unchanged';
       } else {
         // Update Slack status
         await scheduler.setStatus(
@@ -224,6 +248,14 @@ async function handleSchedulerExecution(env, options = {}) {
           evaluation.expirationTime
         );
         logs.push('✅ Status updated successfully');
+        action = 'update_status';
+
+        if (env.SCHEDULER_STATE) {
+          await env.SCHEDULER_STATE.put(STATE_KEY, JSON.stringify({
+            ...applied,
+            appliedAt: currentTime.toISOString()
+          }));
+        }
       }
     } else {
       logs.push('No matching rules found - no status update needed');
@@ -237,6 +269,7 @@ async function handleSchedulerExecution(env, options = {}) {
       timestamp: currentTime.toISOString(),
       trigger: options.trigger,
       dryRun: options.dryRun || false,
+      action: action,
       evaluation: {
         shouldUpdate: evaluation.shouldUpdate,
         ruleId: evaluation.rule?.id,
@@ -268,6 +301,21 @@ async function handleSchedulerExecution(env, options = {}) {
   }
 }
 
+// Check the SCHEDULER_STATE KV namespace for an identical applied status
+async function isAlreadyApplied(env, applied) {
+  if (!env.SCHEDULER_STATE) {
+    return false;
+  }
+
+  const stored = await env.SCHEDULER_STATE.get(STATE_KEY, 'json');
+  return Boolean(stored) &&
+    stored.action === applied.action &&
+    stored.rule === applied.rule &&
+    stored.status?.text === applied.status.text &&
+    stored.status?.emoji === applied.status.emoji &&
+    stored.expiration === applied.expiration;
+}
+
 async function handleStatusCheck(env) {
   try {
     if (!env.SLACK_TOKEN) {
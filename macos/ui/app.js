@@ -1069,16 +1069,27 @@ function displayRules() {
           break;
       }
 
-      const statusText = rule.status?.text || 'No status';
-      const statusEmoji = rule.status?.emoji || '';
+      // Each slot of a rule gets its own line
+      const details = (rule.slots || [rule])
+        .map(slot => {
+          // A status pool shows its first variant
+          const status = slot.status?.pool
+            ? { ...slot.status, ...slot.status.pool[0] }
+            : slot.status;
+          const statusText = status?.text || 'No status';
+          const statusEmoji = status?.emoji || '';
+
+          return `
+                    <div class="rule-details">
+                        ${typeDescription} at ${slot.time || '??:??'} → ${statusEmoji} ${statusText}
+                    </div>`;
+        })
+        .join('');
 
       return `
             <div class="rule-item">
                 <div class="rule-info">
-                    <div class="rule-id">${rule.id || `Rule ${index + 1}`}</div>
-                    <div class="rule-details">
-                        ${typeDescription} at ${rule.time || '??:??'} → ${statusEmoji} ${statusText}
-                    </div>
+                    <div class="rule-id">${rule.id || `Rule ${index + 1}`}</div>${details}
                 </div>
                 <div class="rule-actions">
                     <button class="btn btn-outline" onclick="editRule(${index})">Edit</button>
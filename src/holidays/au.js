@@ -0,0 +1,29 @@
+/**
+ * Public holidays in Australia
+ * Holidays without regions are national; the rest are set by each state
+ */
+
+export const AU = {
+  name: 'Australia',
+  regions: {
+    NSW: 'New South Wales',
+    QLD: 'Queensland',
+    VIC: 'Victoria',
+  },
+  holidays: [
+    { name: "New Year's Day", month: 1, day: 1, observed: 'next_weekday' },
+    { name: 'Australia Day', month: 1, day: 26, observed: 'next_weekday' },
+    { name: 'Labour Day', month: 3, weekday: 'mon', week: 2, regions: ['VIC'] },
+    { name: 'Good Friday', easter: -2 },
+    { name: 'Easter Saturday', easter: -1, regions: ['NSW', 'QLD', 'VIC'] },
+    { name: 'Easter Monday', easter: 1 },
+    { name: 'Anzac Day', month: 4, day: 25 },
+    { name: 'Labour Day', month: 5, weekday: 'mon', week: 1, regions: ['QLD'] },
+    { name: "King's Birthday", month: 6, weekday: 'mon', week: 2, regions: ['NSW', 'VIC'] },
+    { name: "King's Birthday", month: 10, weekday: 'mon', week: 1, regions: ['QLD'] },
+    { name: 'Labour Day', month: 10, weekday: 'mon', week: 1, regions: ['NSW'] },
+    { name: 'Melbourne Cup Day', month: 11, weekday: 'tue', week: 1, regions: ['VIC'] },
+    { name: 'Christmas Day', month: 12, day: 25, observed: 'next_weekday' },
+    { name: 'Boxing Day', month: 12, day: 26, observed: 'next_weekday' },
+  ],
+};
@@ -0,0 +1,38 @@
+/**
+ * Statutory holidays in Canada
+ * Holidays without regions are observed in every listed province
+ */
+
+export const CA = {
+  name: 'Canada',
+  regions: {
+    AB: 'Alberta',
+    BC: 'British Columbia',
+    ON: 'Ontario',
+    QC: 'Quebec',
+  },
+  holidays: [
+    { name: "New Year's Day", month: 1, day: 1 },
+    { name: 'Family Day', month: 2, weekday: 'mon', week: 3, regions: ['AB'], from: 1990 },
+    { name: 'Family Day', month: 2, weekday: 'mon', week: 3, regions: ['ON'], from: 2008 },
+    { name: 'Family Day', month: 2, weekday: 'mon', week: 3, regions: ['BC'], from: 2019 },
+    { name: 'Good Friday', easter: -2 },
+    // The Monday before May 25
+    { name: 'Victoria Day', month: 5, day: 24, weekday: 'mon', onOrBefore: true },
+    { name: 'Saint-Jean-Baptiste Day', month: 6, day: 24, regions: ['QC'] },
+    { name: 'Canada Day', month: 7, day: 1, observed: 'sunday_to_monday' },
+    { name: 'British Columbia Day', month: 8, weekday: 'mon', week: 1, regions: ['BC'] },
+    { name: 'Labour Day', month: 9, weekday: 'mon', week: 1 },
+    {
+      name: 'National Day for Truth and Reconciliation',
+      month: 9,
+      day: 30,
+      regions: ['BC'],
+      from: 2023,
+    },
+    { name: 'Thanksgiving', month: 10, weekday: 'mon', week: 2 },
+    { name: 'Remembrance Day', month: 11, day: 11, regions: ['AB', 'BC'] },
+    { name: 'Christmas Day', month: 12, day: 25 },
+    { name: 'Boxing Day', month: 12, day: 26, regions: ['ON'] },
+  ],
+};
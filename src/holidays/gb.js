@@ -0,0 +1,41 @@
+/**
+ * Bank holidays in the United Kingdom
+ * Holidays without regions are shared by England, Wales, Scotland and Northern Ireland
+ */
+
+export const GB = {
+  name: 'United Kingdom',
+  regions: {
+    ENG: 'England',
+    NIR: 'Northern Ireland',
+    SCT: 'Scotland',
+    WLS: 'Wales',
+  },
+  holidays: [
+    { name: "New Year's Day", month: 1, day: 1, observed: 'next_weekday' },
+    { name: '2nd January', month: 1, day: 2, observed: 'next_weekday', regions: ['SCT'] },
+    { name: "St Patrick's Day", month: 3, day: 17, observed: 'next_weekday', regions: ['NIR'] },
+    { name: 'Good Friday', easter: -2 },
+    { name: 'Easter Monday', easter: 1, regions: ['ENG', 'WLS', 'NIR'] },
+    { name: 'Early May bank holiday', month: 5, weekday: 'mon', week: 1 },
+    { name: 'Spring bank holiday', month: 5, weekday: 'mon', week: 'last' },
+    {
+      name: 'Battle of the Boyne',
+      month: 7,
+      day: 12,
+      observed: 'next_weekday',
+      regions: ['NIR'],
+    },
+    { name: 'Summer bank holiday', month: 8, weekday: 'mon', week: 1, regions: ['SCT'] },
+    {
+      name: 'Summer bank holiday',
+      month: 8,
+      weekday: 'mon',
+      week: 'last',
+      regions: ['ENG', 'WLS', 'NIR'],
+    },
+    { name: "St Andrew's Day", month: 11, day: 30, observed: 'next_weekday', regions: ['SCT'] },
+    { name: 'Christmas Day', month: 12, day: 25, observed: 'next_weekday' },
+    { name: 'Boxing Day', month: 12, day: 26, observed: 'next_weekday' },
+  ],
+};
@@ -0,0 +1,29 @@
+/**
+ * Public holidays in Ireland
+ */
+
+export const IE = {
+  name: 'Ireland',
+  regions: {},
+  holidays: [
+    { name: "New Year's Day", month: 1, day: 1, observed: 'next_weekday' },
+    // The first Monday in February, or February 1 when that is a Friday
+    {
+      name: "St Brigid's Day",
+      month: 2,
+      day: 1,
+      weekday: 'mon',
+      onOrAfter: true,
+      keepOn: 'fri',
+      from: 2023,
+    },
+    { name: "St Patrick's Day", month: 3, day: 17, observed: 'next_weekday' },
+    { name: 'Easter Monday', easter: 1 },
+    { name: 'May Day', month: 5, weekday: 'mon', week: 1 },
+    { name: 'June Bank Holiday', month: 6, weekday: 'mon', week: 1 },
+    { name: 'August Bank Holiday', month: 8, weekday: 'mon', week: 1 },
+    { name: 'October Bank Holiday', month: 10, weekday: 'mon', week: 'last' },
+    { name: 'Christmas Day', month: 12, day: 25, observed: 'next_weekday' },
+    { name: "St Stephen's Day", month: 12, day: 26, observed: 'next_weekday' },
+  ],
+};
@@ -0,0 +1,240 @@
+/**
+ * Bundled public holiday calendars
+ * Holidays are computed from rules (fixed dates, nth weekdays, Easter offsets)
+ * rather than fetched, so evaluation works offline and is deterministic.
+ * One-off holidays proclaimed for a single year are not included.
+ */
+
+import { DateTime } from 'luxon';
+import { AU } from './au.js';
+import { CA } from './ca.js';
+import { GB } from './gb.js';
+import { IE } from './ie.js';
+import { US } from './us.js';
+import { WEEKDAY_NUMBERS } from '../scheduler/calendar.js';
+
+/**
+ * Supported countries by ISO 3166-1 alpha-2 code
+ */
+export const HOLIDAY_COUNTRIES = { AU, CA, GB, IE, US };
+
+/**
+ * Get the public holidays of a country (and optionally a region) in a year
+ * Weekend holidays that are moved to a weekday appear twice: on their own date
+ * and as "(observed)" on the day off
+ * @param {Object} settings - Holiday settings with country and optional region
+ * @param {number} year - Calendar year
+ * @returns {Array} Holidays with date (YYYY-MM-DD) and name, ordered by date
+ */
+export function getHolidays(settings, year) {
+  // Observed days can move into the neighbouring year (e.g. Jan 1 to Dec 31)
+  return [year - 1, year, year + 1]
+    .flatMap(candidateYear => computeHolidays(settings, candidateYear))
+    .filter(holiday => holiday.date.startsWith(`${year}-`));
+}
+
+/**
+ * Create a lookup of holidays for a schedule's holiday settings
+ * @param {Object} settings - Holiday settings with country and optional region
+ * @returns {Object} Calendar with getHoliday, isHoliday and countBetween methods
+ */
+export function createHolidayCalendar(settings) {
+  const years = new Map();
+
+  const getYear = year => {
+    if (!years.has(year)) {
+      const byDate = new Map();
+      getHolidays(settings, year).forEach(holiday => {
+        if (!byDate.has(holiday.date)) {
+          byDate.set(holiday.date, holiday);
+        }
+      });
+      years.set(year, byDate);
+    }
+    return years.get(year);
+  };
+
+  return {
+    /**
+     * Get the holiday on a date
+     * @param {DateTime} localDate - Date to check
+     * @returns {Object|null} Holiday with date and name, or null
+     */
+    getHoliday(localDate) {
+      return getYear(localDate.year).get(localDate.toISODate()) || null;
+    },
+
+    /**
+     * Check whether a date is a holiday
+     * @param {DateTime} localDate - Date to check
+     * @returns {boolean} True if the date is a holiday
+     */
+    isHoliday(localDate) {
+      return this.getHoliday(localDate) !== null;
+    },
+
+    /**
+     * Get the holidays from one date up to, but not including, another
+     * @param {DateTime} fromDate - First day included
+     * @param {DateTime} toDate - Day after the last day included
+     * @returns {Array} Holidays with date and name, ordered by date
+     */
+    getHolidaysBetween(fromDate, toDate) {
+      const from = fromDate.toISODate();
+      const to = toDate.toISODate();
+      const holidays = [];
+
+      for (let year = fromDate.year; year <= toDate.year; year++) {
+        getYear(year).forEach(holiday => {
+          if (holiday.date >= from && holiday.date < to) {
+            holidays.push(holiday);
+          }
+        });
+      }
+
+      return holidays;
+    },
+  };
+}
+
+/**
+ * Compute the holidays defined for a year, including observed days
+ * @param {Object} settings - Holiday settings with country and optional region
+ * @param {number} year - Calendar year the definitions are applied to
+ * @returns {Array} Holidays with date and name
+ */
+function computeHolidays({ country, region }, year) {
+  const definition = HOLIDAY_COUNTRIES[country];
+  if (!definition) {
+    throw new Error(`Unsupported holiday country: ${country}`);
+  }
+
+  const holidays = definition.holidays
+    .filter(holiday => !holiday.regions || holiday.regions.includes(region))
+    .filter(
+      holiday =>
+        (!holiday.from || year >= holiday.from) && (!holiday.until || year <= holiday.until),
+    )
+    .map(holiday => ({ holiday, date: resolveDate(holiday, year) }))
+    .sort((a, b) => a.date - b.date);
+
+  const taken = new Set(holidays.map(({ date }) => date.toISODate()));
+  const observed = [];
+
+  holidays.forEach(({ holiday, date }) => {
+    const observedDate = getObservedDate(holiday.observed, date, taken);
+    if (observedDate) {
+      taken.add(observedDate.toISODate());
+      observed.push({ date: observedDate.toISODate(), name: `${holiday.name} (observed)` });
+    }
+  });
+
+  return [
+    ...holidays.map(({ holiday, date }) => ({ date: date.toISODate(), name: holiday.name })),
+    ...observed,
+  ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Resolve a holiday definition to its date in a year
+ * @param {Object} holiday - Holiday definition
+ * @param {number} year - Calendar year
+ * @returns {DateTime} Date of the holiday
+ */
+function resolveDate(holiday, year) {
+  let date;
+
+  if (holiday.easter !== undefined) {
+    date = getEasterSunday(year).plus({ days: holiday.easter });
+  } else if (holiday.day !== undefined) {
+    date = DateTime.utc(year, holiday.month, holiday.day);
+
+    // Move to the nearest given weekday before or after the date
+    const weekday = WEEKDAY_NUMBERS[holiday.weekday];
+    if (weekday && date.weekday !== WEEKDAY_NUMBERS[holiday.keepOn]) {
+      if (holiday.onOrBefore) {
+        date = date.minus({ days: (date.weekday - weekday + 7) % 7 });
+      } else if (holiday.onOrAfter) {
+        date = date.plus({ days: (weekday - date.weekday + 7) % 7 });
+      }
+    }
+  } else {
+    date = getNthWeekday(year, holiday.month, WEEKDAY_NUMBERS[holiday.weekday], holiday.week);
+  }
+
+  return holiday.offset ? date.plus({ days: holiday.offset }) : date;
+}
+
+/**
+ * Get the day off for a holiday that falls on a weekend
+ * @param {string} [rule] - 'nearest_weekday' (Saturday to Friday, Sunday to Monday),
+ *   'next_weekday' (to the next weekday that is not already a holiday) or
+ *   'sunday_to_monday'
+ * @param {DateTime} date - Date of the holiday
+ * @param {Set<string>} taken - Dates that are already holidays
+ * @returns {DateTime|null} Observed date, or null if the holiday is not moved
+ */
+function getObservedDate(rule, date, taken) {
+  if (!rule || date.weekday < 6) {
+    return null;
+  }
+
+  switch (rule) {
+    case 'nearest_weekday':
+      return date.weekday === 6 ? date.minus({ days: 1 }) : date.plus({ days: 1 });
+    case 'sunday_to_monday':
+      return date.weekday === 7 ? date.plus({ days: 1 }) : null;
+    case 'next_weekday': {
+      let observed = date.plus({ days: 1 });
+      while (observed.weekday > 5 || taken.has(observed.toISODate())) {
+        observed = observed.plus({ days: 1 });
+      }
+      return observed;
+    }
+    default:
+      throw new Error(`Unknown observed rule: ${rule}`);
+  }
+}
+
+/**
+ * Get the nth (or last) weekday of a month
+ * @param {number} year - Calendar year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Weekday number (Monday = 1, Sunday = 7)
+ * @param {number|string} week - Week of the month (1-5) or 'last'
+ * @returns {DateTime} Date of that weekday
+ */
+function getNthWeekday(year, month, weekday, week) {
+  if (week === 'last') {
+    const lastDay = DateTime.utc(year, month, 1).endOf('month').startOf('day');
+    return lastDay.minus({ days: (lastDay.weekday - weekday + 7) % 7 });
+  }
+
+  const firstDay = DateTime.utc(year, month, 1);
+  return firstDay.plus({ days: (weekday - firstDay.weekday + 7) % 7, weeks: week - 1 });
+}
+
+/**
+ * Get the date of Easter Sunday in the Gregorian calendar
+ * @param {number} year - Calendar year
+ * @returns {DateTime} Easter Sunday
+ */
+function getEasterSunday(year) {
+  // Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return DateTime.utc(year, month, day);
+}
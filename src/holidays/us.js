@@ -0,0 +1,46 @@
+/**
+ * Public holidays in the United States
+ * Federal holidays apply everywhere; state holidays only in their region
+ */
+
+export const US = {
+  name: 'United States',
+  regions: {
+    CA: 'California',
+    MA: 'Massachusetts',
+    NY: 'New York',
+    TX: 'Texas',
+  },
+  holidays: [
+    { name: "New Year's Day", month: 1, day: 1, observed: 'nearest_weekday' },
+    { name: 'Martin Luther King Jr. Day', month: 1, weekday: 'mon', week: 3 },
+    { name: "Lincoln's Birthday", month: 2, day: 12, regions: ['NY'] },
+    { name: "Washington's Birthday", month: 2, weekday: 'mon', week: 3 },
+    { name: 'Texas Independence Day', month: 3, day: 2, regions: ['TX'] },
+    { name: 'Cesar Chavez Day', month: 3, day: 31, observed: 'sunday_to_monday', regions: ['CA'] },
+    { name: "Patriots' Day", month: 4, weekday: 'mon', week: 3, regions: ['MA'] },
+    { name: 'San Jacinto Day', month: 4, day: 21, regions: ['TX'] },
+    { name: 'Memorial Day', month: 5, weekday: 'mon', week: 'last' },
+    {
+      name: 'Juneteenth National Independence Day',
+      month: 6,
+      day: 19,
+      observed: 'nearest_weekday',
+      from: 2021,
+    },
+    { name: 'Independence Day', month: 7, day: 4, observed: 'nearest_weekday' },
+    { name: 'Labor Day', month: 9, weekday: 'mon', week: 1 },
+    { name: 'Columbus Day', month: 10, weekday: 'mon', week: 2 },
+    { name: 'Veterans Day', month: 11, day: 11, observed: 'nearest_weekday' },
+    { name: 'Thanksgiving Day', month: 11, weekday: 'thu', week: 4 },
+    {
+      name: 'Day after Thanksgiving',
+      month: 11,
+      weekday: 'thu',
+      week: 4,
+      offset: 1,
+      regions: ['CA'],
+    },
+    { name: 'Christmas Day', month: 12, day: 25, observed: 'nearest_weekday' },
+  ],
+};
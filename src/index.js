@@ -8,17 +8,50 @@ import { readFile } from 'fs/promises';
 import { createScheduleEvaluator } from './scheduler/evaluator.js';
 import { createSlackClient } from './slack/client.js';
 import { validateSchedule } from './scheduler/validator.js';
+import { createWorkCalendar } from './scheduler/calendar.js';
+import { isTemplate, renderTemplate } from './scheduler/template.js';
+import { pickStatus } from './scheduler/status-pool.js';
+import {
+  getDefaultStatusWindow,
+  getNextDefaultStatusChange,
+  isClearingStatus,
+} from './scheduler/default-status.js';
+import { createMemoryStateStore, isAlreadyApplied } from './state/index.js';
 import { createLogger } from './utils/logger.js';
 
+/**
+ * Longest single sleep of the daemon; waking regularly lets it notice clock
+ * jumps and system sleep
+ */
+const MAX_SLEEP_MS = 5 * 60 * 1000;
+
+/**
+ * Difference between a planned and an actual sleep that counts as a clock jump
+ */
+const CLOCK_JUMP_MS = 60 * 1000;
+
+/**
+ * Delay before the daemon retries a failed run
+ */
+const RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * How far ahead the daemon looks for the next change
+ */
+const LOOKAHEAD_DAYS = 7;
+
 /**
  * Main scheduler class that coordinates rule evaluation and Slack updates
  */
 export class SlackStatusScheduler {
   constructor(options = {}) {
-    this.logger = createLogger(options.logLevel || 'info');
+    this.logger = options.logger || createLogger(options.logLevel || 'info');
     this.slackClient = null;
     this.schedule = null;
+    this.scheduleSource = null;
     this.dryRun = options.dryRun || false;
+    this.stateStore = options.stateStore || createMemoryStateStore();
+    this._daemon = null;
   }
 
   /**
@@ -27,18 +60,8 @@ export class SlackStatusScheduler {
    * @param {string} slackToken - Slack user token (optional for dry runs)
    */
   async initialize(scheduleSource, slackToken = null) {
-    // Load and validate schedule
-    if (typeof scheduleSource === 'string') {
-      const scheduleContent = await readFile(scheduleSource, 'utf8');
-      this.schedule = JSON.parse(scheduleContent);
-    } else {
-      this.schedule = scheduleSource;
-    }
-
-    const validation = validateSchedule(this.schedule);
-    if (!validation.valid) {
-      throw new Error(`Invalid schedule: ${validation.errors.join(', ')}`);
-    }
+    this.schedule = await this._loadSchedule(scheduleSource);
+    this.scheduleSource = scheduleSource;
 
     // Initialize Slack client if token provided
     if (slackToken && !this.dryRun) {
@@ -47,6 +70,19 @@ export class SlackStatusScheduler {
       });
     }
 
+    // Each one-shot run starts without a record of the last applied status,
+    // so it could never tell a status was changed by hand
+    if (
+      this.slackClient &&
+      this.schedule.options?.clear_on_manual_change &&
+      this.stateStore.persistent === false
+    ) {
+      this.logger.warn(
+        'clear_on_manual_change only detects changes made while this process runs; ' +
+          'configure a persistent state store such as --state <file>',
+      );
+    }
+
     this.logger.info('Scheduler initialized', {
       timezone: this.schedule.timezone,
       ruleCount: this.schedule.rules.length,
@@ -56,10 +92,14 @@ export class SlackStatusScheduler {
 
   /**
    * Run the scheduler for the current time or a specific date
+   * Skips the Slack update when the state store shows the same status was
+   * already applied, and reports action 'unchanged'
    * @param {DateTime|string} targetDate - Date to evaluate (defaults to now)
+   * @param {Object} options - Run options
+   * @param {boolean} options.force - Update Slack even if the status is already applied
    * @returns {Object} Result of the scheduling run
    */
-  async run(targetDate = null) {
+  async run(targetDate = null, options = {}) {
     if (!this.schedule) {
       throw new Error('Scheduler not initialized. Call initialize() first.');
     }
@@ -80,11 +120,16 @@ export class SlackStatusScheduler {
     });
 
     const evaluator = createScheduleEvaluator(this.schedule);
-    const matchedRule = evaluator.findMatchingRule(localDate);
+    const occurrence = evaluator.findActiveOccurrence(localDate);
 
-    if (!matchedRule) {
-      if (this.schedule.options?.clear_when_no_match) {
-        return await this._clearStatus();
+    if (!occurrence) {
+      const defaultStatus = this.schedule.options?.default_status_on_clear;
+      const window = defaultStatus && getDefaultStatusWindow(defaultStatus, localDate);
+
+      if (window) {
+        return await this._applyDefaultStatus(defaultStatus, window, localDate, options);
+      } else if (this.schedule.options?.clear_when_no_match) {
+        return await this._clearStatus(localDate, options);
       } else {
         this.logger.info('No matching rules found, leaving status unchanged');
         return {
@@ -95,7 +140,103 @@ export class SlackStatusScheduler {
       }
     }
 
-    return await this._updateStatus(matchedRule, localDate);
+    return await this._updateStatus(occurrence, localDate, options);
+  }
+
+  /**
+   * Run continuously, applying each status change as it happens
+   * Sleeps until the next change the evaluator predicts, in chunks of at most
+   * maxSleepMs so that clock jumps and system sleep are noticed and the
+   * schedule is re-evaluated straight away
+   * @param {Object} options - Daemon options
+   * @param {number} options.maxSleepMs - Longest single sleep in milliseconds
+   * @param {number} options.retryDelayMs - Delay before retrying a failed run
+   * @returns {Promise} Resolves once the daemon has been stopped
+   */
+  async start(options = {}) {
+    if (!this.schedule) {
+      throw new Error('Scheduler not initialized');
+    }
+    if (this._daemon) {
+      throw new Error('Scheduler is already running');
+    }
+
+    const { maxSleepMs = MAX_SLEEP_MS, retryDelayMs = RETRY_DELAY_MS } = options;
+    const daemon = { stopped: false, wake: null };
+    this._daemon = daemon;
+
+    this.logger.info('Daemon started', { timezone: this.schedule.timezone, dryRun: this.dryRun });
+
+    daemon.done = (async () => {
+      while (!daemon.stopped) {
+        // Look for the next change from the instant evaluated, so none is missed
+        // while the update is being sent
+        const now = DateTime.now();
+        let nextRun;
+        try {
+          const result = await this.run(now);
+          nextRun =
+            result.action === 'manual_change'
+              ? DateTime.fromISO(result.until)
+              : this._getNextChange(now);
+        } catch (error) {
+          this.logger.error('Scheduled run failed', { error: error.message, retryDelayMs });
+          nextRun = DateTime.now().plus({ milliseconds: retryDelayMs });
+        }
+
+        if (!daemon.stopped) {
+          this.logger.info('Sleeping until next change', { until: nextRun.toISO() });
+          await this._sleepUntil(nextRun, daemon, maxSleepMs);
+        }
+      }
+    })();
+
+    try {
+      await daemon.done;
+    } finally {
+      this._daemon = null;
+      this.logger.info('Daemon stopped');
+    }
+  }
+
+  /**
+   * Stop a running daemon, letting a run in progress finish first
+   * @returns {Promise} Resolves once the daemon has stopped
+   */
+  async stop() {
+    const daemon = this._daemon;
+    if (!daemon) {
+      return;
+    }
+
+    daemon.stopped = true;
+    daemon.wake?.();
+    await daemon.done;
+  }
+
+  /**
+   * Reload the schedule from the file it was loaded from
+   * An invalid schedule is logged and the current one kept. A running daemon
+   * re-evaluates straight away with the new schedule.
+   * @returns {boolean} True if the schedule was reloaded
+   */
+  async reload() {
+    if (typeof this.scheduleSource !== 'string') {
+      throw new Error('Only schedules loaded from a file can be reloaded');
+    }
+
+    try {
+      this.schedule = await this._loadSchedule(this.scheduleSource);
+    } catch (error) {
+      this.logger.error('Failed to reload schedule, keeping the current one', {
+        error: error.message,
+      });
+      return false;
+    }
+
+    this.logger.info('Schedule reloaded', { ruleCount: this.schedule.rules.length });
+    this._daemon?.wake?.();
+    return true;
   }
 
   /**
@@ -120,6 +261,7 @@ export class SlackStatusScheduler {
 
   /**
    * Get the next scheduled status changes
+   * Lists every point where the winning rule changes, starting from today
    * @param {number} days - Number of days to look ahead
    * @returns {Array} Array of upcoming changes
    */
@@ -129,39 +271,26 @@ export class SlackStatusScheduler {
     }
 
     const evaluator = createScheduleEvaluator(this.schedule);
-    const upcoming = [];
-    const startDate = DateTime.now().setZone(this.schedule.timezone);
-
-    for (let i = 0; i < days; i++) {
-      const checkDate = startDate.plus({ days: i });
-      const matchedRule = evaluator.findMatchingRule(checkDate);
-
-      if (matchedRule) {
-        const executeTime = checkDate.startOf('day').plus({
-          hours: parseInt(matchedRule.time?.split(':')[0] || 0),
-          minutes: parseInt(matchedRule.time?.split(':')[1] || 0),
-        });
-
-        upcoming.push({
-          date: checkDate.toISODate(),
-          time: matchedRule.time,
-          executeAt: executeTime.toISO(),
-          rule: matchedRule,
-          status: matchedRule.status,
-        });
-      }
-    }
-
-    return upcoming;
+    const startDate = DateTime.now().setZone(this.schedule.timezone).startOf('day');
+    const transitions = evaluator.getTransitions(startDate, startDate.plus({ days }));
+
+    return transitions.map(({ at, rule, occurrence }) => ({
+      date: at.toISODate(),
+      time: at.toFormat('HH:mm'),
+      executeAt: at.toISO(),
+      rule,
+      status: this._renderStatus(occurrence, at),
+    }));
   }
 
   /**
    * Update Slack status based on matched rule
    * @private
    */
-  async _updateStatus(rule, currentDate) {
-    const { status } = rule;
-    const expiration = this._calculateExpiration(status, currentDate);
+  async _updateStatus(occurrence, currentDate, options = {}) {
+    const { rule } = occurrence;
+    const status = this._renderStatus(occurrence, currentDate);
+    const expiration = this._calculateExpiration(status, currentDate, occurrence.end);
 
     if (this.dryRun) {
       this.logger.info('DRY RUN: Would update status', {
@@ -181,18 +310,52 @@ export class SlackStatusScheduler {
       };
     }
 
+    const applied = {
+      action: 'update_status',
+      rule: rule.id ?? null,
+      status: { text: status.text, emoji: status.emoji },
+      expiration: expiration?.toISO() ?? null,
+    };
+
+    const stored = await this._readState();
+    const manualChange = options.force
+      ? null
+      : await this._checkManualChange(stored, applied, currentDate);
+    if (manualChange) {
+      return manualChange;
+    }
+
+    if (!options.force && isAlreadyApplied(stored, applied)) {
+      this.logger.info('Status already set, skipping update', { ruleId: rule.id });
+
+      return {
+        success: true,
+        action: 'unchanged',
+        rule: rule.id,
+        status,
+        expiration: expiration?.toISO(),
+        message: 'Status already set',
+      };
+    }
+
     if (!this.slackClient) {
       throw new Error('Slack client not initialized. Token required for live updates.');
     }
 
     try {
-      await this.slackClient.updateStatus(status.text, status.emoji, expiration);
+      const response = await this.slackClient.updateStatus(status.text, status.emoji, expiration);
 
       this.logger.info('Status updated successfully', {
         ruleId: rule.id,
         text: status.text,
         emoji: status.emoji,
       });
+      // Slack reports emoji as :shortcodes:, so keep what it echoed back to
+      // compare with later
+      await this._recordApplied(
+        response?.profile ? { ...applied, profile: readProfileStatus(response.profile) } : applied,
+        currentDate,
+      );
 
       return {
         success: true,
@@ -207,11 +370,141 @@ export class SlackStatusScheduler {
     }
   }
 
+  /**
+   * Apply the default status when no rule matches
+   * It has no rule of its own; the end of its active hours, if any, expires
+   * it the way a rule's active window would, unless it sets expire_hour
+   * @private
+   */
+  async _applyDefaultStatus(defaultStatus, window, currentDate, options = {}) {
+    this.logger.info('No matching rules found, applying default status');
+
+    if (isClearingStatus(defaultStatus)) {
+      return { ...(await this._clearStatus(currentDate, options)), default: true };
+    }
+
+    const status = pickStatus(defaultStatus, window.start || currentDate);
+    const occurrence = {
+      rule: { id: null },
+      status: { text: status.text, emoji: status.emoji, expire_hour: status.expire_hour },
+      start: window.start,
+      end: status.expire_hour === undefined ? window.end : null,
+    };
+
+    return { ...(await this._updateStatus(occurrence, currentDate, options)), default: true };
+  }
+
+  /**
+   * Load and validate a schedule
+   * @private
+   */
+  async _loadSchedule(scheduleSource) {
+    const schedule =
+      typeof scheduleSource === 'string'
+        ? JSON.parse(await readFile(scheduleSource, 'utf8'))
+        : scheduleSource;
+
+    const validation = validateSchedule(schedule);
+    if (!validation.valid) {
+      throw new Error(`Invalid schedule: ${validation.errors.join(', ')}`);
+    }
+    validation.warnings.forEach(warning => {
+      this.logger.warn('Schedule warning', { warning });
+    });
+
+    return schedule;
+  }
+
+  /**
+   * Find when the daemon should next run: the next change of the active
+   * occurrence or of the default status's active hours, or the end of the
+   * lookahead when nothing changes before then
+   * @private
+   */
+  _getNextChange(from, until = from.plus({ days: LOOKAHEAD_DAYS })) {
+    const evaluator = createScheduleEvaluator(this.schedule);
+    const defaultStatus = this.schedule.options?.default_status_on_clear;
+    const changes = [
+      evaluator.getNextChange(from, until),
+      defaultStatus && getNextDefaultStatusChange(defaultStatus, from, until),
+    ].filter(Boolean);
+
+    return DateTime.min(...changes, until);
+  }
+
+  /**
+   * Sleep until a time in chunks, returning early when woken or when the
+   * clock jumps
+   * @private
+   */
+  async _sleepUntil(target, daemon, maxSleepMs) {
+    while (!daemon.stopped) {
+      const remaining = target.toMillis() - Date.now();
+      if (remaining <= 0) {
+        return;
+      }
+
+      const chunk = Math.min(remaining, maxSleepMs);
+      const sleptFrom = Date.now();
+      const woken = await new Promise(resolve => {
+        const timer = setTimeout(() => resolve(false), chunk);
+        daemon.wake = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+      });
+      daemon.wake = null;
+
+      if (woken) {
+        return;
+      }
+
+      // Timers stop while the machine sleeps, and the wall clock can be set
+      const drift = Date.now() - sleptFrom - chunk;
+      if (Math.abs(drift) > CLOCK_JUMP_MS) {
+        this.logger.warn('Clock jump detected, re-evaluating schedule', { driftMs: drift });
+        return;
+      }
+    }
+  }
+
+  /**
+   * Render the template variables in an occurrence's status text
+   * @private
+   */
+  _renderStatus(occurrence, currentDate) {
+    const { rule, status } = occurrence;
+    if (!isTemplate(status.text)) {
+      return status;
+    }
+
+    const now = currentDate.setZone(rule.tz || this.schedule.timezone);
+    const text = renderTemplate(status.text, {
+      now,
+      ruleId: rule.id,
+      calendar: createWorkCalendar(this.schedule),
+      getNextStart: () => {
+        const evaluator = createScheduleEvaluator(this.schedule);
+        const next = evaluator.getNextStart(
+          currentDate,
+          currentDate.plus({ days: LOOKAHEAD_DAYS }),
+        );
+        return next ? next.setZone(now.zone) : null;
+      },
+    });
+
+    if (text.length > 100) {
+      this.logger.warn('Rendered status text is too long, truncating', { ruleId: rule.id, text });
+    }
+
+    return { ...status, text: text.slice(0, 100) };
+  }
+
   /**
    * Clear Slack status
    * @private
    */
-  async _clearStatus() {
+  async _clearStatus(currentDate, options = {}) {
     if (this.dryRun) {
       this.logger.info('DRY RUN: Would clear status');
       return {
@@ -221,6 +514,26 @@ export class SlackStatusScheduler {
       };
     }
 
+    const applied = { action: 'clear_status', rule: null, status: null, expiration: null };
+
+    const stored = await this._readState();
+    const manualChange = options.force
+      ? null
+      : await this._checkManualChange(stored, applied, currentDate);
+    if (manualChange) {
+      return manualChange;
+    }
+
+    if (!options.force && isAlreadyApplied(stored, applied)) {
+      this.logger.info('Status already cleared, skipping update');
+
+      return {
+        success: true,
+        action: 'unchanged',
+        message: 'Status already cleared',
+      };
+    }
+
     if (!this.slackClient) {
       throw new Error('Slack client not initialized');
     }
@@ -228,6 +541,7 @@ export class SlackStatusScheduler {
     try {
       await this.slackClient.clearStatus();
       this.logger.info('Status cleared successfully');
+      await this._recordApplied(applied, currentDate);
 
       return {
         success: true,
@@ -239,11 +553,154 @@ export class SlackStatusScheduler {
     }
   }
 
+  /**
+   * Read the last applied state
+   * A store that cannot be read never blocks an update
+   * @private
+   */
+  async _readState() {
+    try {
+      return await this.stateStore.get();
+    } catch (error) {
+      this.logger.warn('Failed to read state, updating anyway', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record state in the state store
+   * Slack has already been updated, so a failed write is only logged
+   * @private
+   */
+  async _saveState(state) {
+    try {
+      await this.stateStore.set(state);
+    } catch (error) {
+      this.logger.warn('Failed to record applied status', { error: error.message });
+    }
+  }
+
+  /**
+   * Record an applied status in the state store, with the time of the run
+   * that applied it
+   * @private
+   */
+  async _recordApplied(applied, currentDate) {
+    await this._saveState({ ...applied, appliedAt: currentDate.toISO() });
+  }
+
+  /**
+   * With clear_on_manual_change, check whether the user changed their status
+   * by hand since the last update, and if so back off until the next rule
+   * transition or manual_change_timeout_minutes, whichever comes first
+   * @private
+   * @returns {Object|null} Run result when backing off, or null to go ahead
+   */
+  async _checkManualChange(stored, applied, currentDate) {
+    if (!this.schedule.options?.clear_on_manual_change || !stored || !this.slackClient) {
+      return null;
+    }
+
+    if (stored.manual) {
+      if (currentDate < DateTime.fromISO(stored.manual.until)) {
+        return this._manualChangeResult(stored.manual, applied);
+      }
+
+      this.logger.info('Manual status back-off ended', { until: stored.manual.until });
+      return null;
+    }
+
+    // A status set by hand only lasts until the next transition, so once one
+    // has passed since the last update the schedule applies again
+    if (stored.appliedAt) {
+      const until = currentDate.plus({ milliseconds: 1 });
+      if (this._getNextChange(DateTime.fromISO(stored.appliedAt), until) < until) {
+        return null;
+      }
+    }
+
+    let profile;
+    try {
+      profile = await this.slackClient.getCurrentUser();
+    } catch (error) {
+      this.logger.warn('Failed to read current status, updating anyway', {
+        error: error.message,
+      });
+      return null;
+    }
+
+    const current = readProfileStatus(profile);
+
+    // Slack clears a status itself once its expiration passes
+    const expired = stored.expiration && DateTime.fromISO(stored.expiration) <= currentDate;
+    const expected =
+      stored.action === 'update_status' && !expired
+        ? stored.profile || stored.status
+        : { text: '', emoji: '' };
+
+    // The status about to be set, as Slack reported it if it is the one set last
+    const sameAsStored =
+      applied.status?.text === stored.status?.text &&
+      applied.status?.emoji === stored.status?.emoji;
+    const wanted = (sameAsStored && stored.profile) || applied.status || { text: '', emoji: '' };
+    if (isSameStatus(current, expected) || isSameStatus(current, wanted)) {
+      return null;
+    }
+
+    const manual = {
+      status: current,
+      detectedAt: currentDate.toISO(),
+      until: this._getBackOffEnd(currentDate).toISO(),
+    };
+    await this._saveState({ ...stored, manual });
+
+    this.logger.info('Manual status change detected, backing off', {
+      text: current.text,
+      emoji: current.emoji,
+      until: manual.until,
+    });
+
+    return this._manualChangeResult(manual, applied);
+  }
+
+  /**
+   * Work out when to stop backing off from a manual status change
+   * @private
+   */
+  _getBackOffEnd(currentDate) {
+    const timeout = this.schedule.options?.manual_change_timeout_minutes;
+
+    return this._getNextChange(
+      currentDate,
+      timeout ? currentDate.plus({ minutes: timeout }) : undefined,
+    );
+  }
+
+  /**
+   * Build the run result for a run that backs off from a manual change
+   * @private
+   */
+  _manualChangeResult(manual, applied) {
+    return {
+      success: true,
+      action: 'manual_change',
+      rule: applied.rule,
+      manualStatus: manual.status,
+      until: manual.until,
+      message: `Status was changed manually, leaving it until ${manual.until}`,
+    };
+  }
+
   /**
    * Calculate expiration time for status
+   * A rule's active window takes precedence over expire_hour
    * @private
    */
-  _calculateExpiration(status, currentDate) {
+  _calculateExpiration(status, currentDate, windowEnd = null) {
+    if (windowEnd) {
+      return windowEnd;
+    }
+
     if (!status.expire_hour) {
       // Default to end of day
       return currentDate.endOf('day');
@@ -260,6 +717,45 @@ export class SlackStatusScheduler {
   }
 }
 
+/**
+ * Compare the status on a Slack profile with a status that was set
+ * Slack reports emoji as :shortcodes:, so a Unicode emoji cannot be compared
+ * and only the text has to match
+ * @param {Object|null} current - Status read from Slack
+ * @param {Object|null} status - Status that was set
+ * @returns {boolean} True if both have the same text and emoji
+ */
+function isSameStatus(current, status) {
+  if (!current || !status || current.text !== status.text) {
+    return false;
+  }
+
+  return (
+    current.emoji === status.emoji || (Boolean(status.emoji) && !/^:[^:\s]+:$/.test(status.emoji))
+  );
+}
+
+/**
+ * Read the status from a Slack profile
+ * @param {Object|null} profile - Profile from users.profile.get or users.profile.set
+ * @returns {Object} Status with text and emoji
+ */
+function readProfileStatus(profile) {
+  return {
+    text: unescapeSlackText(profile?.status_text || ''),
+    emoji: profile?.status_emoji || '',
+  };
+}
+
+/**
+ * Undo the HTML escaping Slack applies to status text it returns
+ * @param {string} text - Status text from users.profile.get
+ * @returns {string} Text as it was set
+ */
+function unescapeSlackText(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
 /**
  * Convenience function to create and run scheduler
  * @param {string} schedulePath - Path to schedule.json
@@ -284,4 +780,6 @@ export async function previewSchedule(schedulePath, targetDate = null, options =
   return await scheduler.preview(targetDate);
 }
 
+export { createMemoryStateStore, createFileStateStore, createKVStateStore } from './state/index.js';
+
 export default SlackStatusScheduler;
@@ -0,0 +1,91 @@
+/**
+ * Work calendar for schedules
+ * Decides which days count as working days for only_weekdays, business-day
+ * intervals and last business day rules. Public holidays are never working days.
+ */
+
+import { DateTime } from 'luxon';
+import { createHolidayCalendar } from '../holidays/index.js';
+
+/**
+ * Work week used when a schedule does not define one
+ */
+export const DEFAULT_WORK_WEEK = ['mon', 'tue', 'wed', 'thu', 'fri'];
+
+/**
+ * ISO weekday numbers by day abbreviation (Monday = 1, Sunday = 7)
+ */
+export const WEEKDAY_NUMBERS = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7 };
+
+/**
+ * Create the work calendar of a schedule
+ * @param {Object} schedule - Schedule configuration, optionally with work_week and holidays
+ * @returns {Object} Calendar with the work week, holiday and working day checks
+ */
+export function createWorkCalendar(schedule = {}) {
+  const workWeek = schedule.work_week || DEFAULT_WORK_WEEK;
+  const workdays = new Set(workWeek.map(day => WEEKDAY_NUMBERS[day]));
+  const holidays = schedule.holidays ? createHolidayCalendar(schedule.holidays) : null;
+
+  return {
+    workWeek,
+
+    /**
+     * Get the public holiday on a date
+     * @param {DateTime} localDate - Date to check
+     * @returns {Object|null} Holiday with date and name, or null
+     */
+    getHoliday(localDate) {
+      return holidays ? holidays.getHoliday(localDate) : null;
+    },
+
+    /**
+     * Check whether a date is a public holiday
+     * @param {DateTime} localDate - Date to check
+     * @returns {boolean} True if the date is a holiday
+     */
+    isHoliday(localDate) {
+      return this.getHoliday(localDate) !== null;
+    },
+
+    /**
+     * Check whether a date falls on a working day
+     * @param {DateTime} localDate - Date to check
+     * @returns {boolean} True if the date is in the work week and not a holiday
+     */
+    isWorkingDay(localDate) {
+      return workdays.has(localDate.weekday) && !this.isHoliday(localDate);
+    },
+
+    /**
+     * Count the working days in a run of consecutive calendar days
+     * @param {DateTime} fromDate - First day counted
+     * @param {number} days - Number of calendar days counted
+     * @returns {number} Number of working days
+     */
+    countWorkingDays(fromDate, days) {
+      const fullWeeks = Math.floor(days / 7);
+      let count = fullWeeks * workdays.size;
+
+      // Every full week has the same working days; only the remainder needs checking
+      for (let offset = fullWeeks * 7; offset < days; offset++) {
+        if (workdays.has(fromDate.plus({ days: offset }).weekday)) {
+          count++;
+        }
+      }
+
+      if (!holidays) {
+        return count;
+      }
+
+      // Holidays are only days off when they fall in the work week
+      const toDate = fromDate.plus({ days });
+      return (
+        count -
+        holidays
+          .getHolidaysBetween(fromDate, toDate)
+          .filter(holiday => workdays.has(DateTime.fromISO(holiday.date).weekday)).length
+      );
+    },
+  };
+}
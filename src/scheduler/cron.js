@@ -0,0 +1,284 @@
+/**
+ * Cron expression parser for cron rules
+ * Supports standard 5-field expressions plus the L, W and # day extensions
+ */
+
+/**
+ * Shorthand expressions and the 5-field expressions they stand for
+ */
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+const DAY_NAMES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES },
+];
+
+const cache = new Map();
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression (minute hour day-of-month month day-of-week)
+ * @returns {Object} Parsed expression with minutes, hours, months and day matchers
+ * @throws {CronExpressionError} If the expression is invalid
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new CronExpressionError('Cron expression must be a non-empty string');
+  }
+
+  const normalized = expression.trim().toLowerCase();
+  if (cache.has(normalized)) {
+    return cache.get(normalized);
+  }
+
+  const source = MACROS[normalized] || normalized;
+  if (source.startsWith('@')) {
+    throw new CronExpressionError(`Unknown cron macro: ${expression.trim()}`);
+  }
+
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new CronExpressionError(
+      'Cron expression must have 5 fields (minute hour day-of-month month day-of-week), ' +
+        `got ${parts.length}`,
+    );
+  }
+
+  const [minutePart, hourPart, dayOfMonthPart, monthPart, dayOfWeekPart] = parts;
+
+  const parsed = {
+    expression: expression.trim(),
+    minutes: [...parseField(minutePart, FIELDS[0])].sort((a, b) => a - b),
+    hours: [...parseField(hourPart, FIELDS[1])].sort((a, b) => a - b),
+    months: parseField(monthPart, FIELDS[3]),
+    daysOfMonth: parseDayOfMonth(dayOfMonthPart),
+    daysOfWeek: parseDayOfWeek(dayOfWeekPart),
+  };
+
+  cache.set(normalized, parsed);
+  return parsed;
+}
+
+/**
+ * Check if a cron expression fires on the calendar day of a date
+ * Like standard cron, a day matches if either the day of month or the day of
+ * week matches when both are restricted
+ * @param {Object} cron - Parsed cron expression
+ * @param {DateTime} localDate - Date to check
+ * @returns {boolean} True if the expression fires on that day
+ */
+export function cronMatchesDay(cron, localDate) {
+  if (!cron.months.has(localDate.month)) {
+    return false;
+  }
+
+  const { daysOfMonth, daysOfWeek } = cron;
+
+  if (daysOfMonth.any && daysOfWeek.any) {
+    return true;
+  }
+  if (daysOfMonth.any) {
+    return daysOfWeek.matches(localDate);
+  }
+  if (daysOfWeek.any) {
+    return daysOfMonth.matches(localDate);
+  }
+
+  return daysOfMonth.matches(localDate) || daysOfWeek.matches(localDate);
+}
+
+/**
+ * Parse a numeric field (minute, hour, month, or the numeric parts of day fields)
+ * @param {string} part - Field text
+ * @param {Object} field - Field definition with name, min, max and optional names
+ * @returns {Set<number>} Values the field matches
+ */
+function parseField(part, field) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    if (item.length === 0) {
+      throw new CronExpressionError(`Empty list item in ${field.name} field`);
+    }
+
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (item.split('/').length > 2 || !Number.isInteger(step) || step < 1) {
+      throw new CronExpressionError(`Invalid step in ${field.name} field: ${item}`);
+    }
+
+    let start;
+    let end;
+
+    if (range === '*' || range === '?') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+
+      if (start > end) {
+        throw new CronExpressionError(`Invalid range in ${field.name} field: ${range}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a single value of a field, accepting names where the field has them
+ * @param {string} text - Value text
+ * @param {Object} field - Field definition
+ * @returns {number} Parsed value
+ */
+function parseValue(text, field) {
+  const value = field.names?.[text] ?? (/^\d+$/.test(text) ? Number(text) : NaN);
+
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new CronExpressionError(
+      `Invalid ${field.name} value: ${text}. Must be between ${field.min} and ${field.max}`,
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Parse the day-of-month field, including L (last day), LW (last weekday)
+ * and nW (weekday nearest to day n)
+ * @param {string} part - Field text
+ * @returns {Object} Matcher with any flag and matches(date)
+ */
+function parseDayOfMonth(part) {
+  if (part === '*' || part === '?') {
+    return { any: true, matches: () => true };
+  }
+
+  const matchers = part.split(',').map(item => {
+    if (item === 'l') {
+      return date => date.day === date.daysInMonth;
+    }
+
+    if (item === 'lw') {
+      return date => date.day === nearestWeekday(date, date.daysInMonth);
+    }
+
+    const nearest = item.match(/^(\d+)w$/);
+    if (nearest) {
+      const day = parseValue(nearest[1], FIELDS[2]);
+      return date => day <= date.daysInMonth && date.day === nearestWeekday(date, day);
+    }
+
+    const days = parseField(item, FIELDS[2]);
+    return date => days.has(date.day);
+  });
+
+  return { any: false, matches: date => matchers.some(matcher => matcher(date)) };
+}
+
+/**
+ * Parse the day-of-week field, including n#k (kth weekday n of the month)
+ * and nL (last weekday n of the month)
+ * @param {string} part - Field text
+ * @returns {Object} Matcher with any flag and matches(date)
+ */
+function parseDayOfWeek(part) {
+  if (part === '*' || part === '?') {
+    return { any: true, matches: () => true };
+  }
+
+  const matchers = part.split(',').map(item => {
+    const nth = item.match(/^(\w+)#(\d+)$/);
+    if (nth) {
+      const weekday = parseValue(nth[1], FIELDS[4]) % 7;
+      const week = Number(nth[2]);
+
+      if (week < 1 || week > 5) {
+        throw new CronExpressionError(`Invalid week in day of week field: ${item}`);
+      }
+
+      return date => date.weekday % 7 === weekday && Math.ceil(date.day / 7) === week;
+    }
+
+    const last = item.match(/^(\w+)l$/);
+    if (last) {
+      const weekday = parseValue(last[1], FIELDS[4]) % 7;
+      return date => date.weekday % 7 === weekday && date.day + 7 > date.daysInMonth;
+    }
+
+    // Cron counts Sunday as both 0 and 7; Luxon weekdays run Monday = 1 to Sunday = 7
+    const weekdays = new Set([...parseField(item, FIELDS[4])].map(day => day % 7));
+    return date => weekdays.has(date.weekday % 7);
+  });
+
+  return { any: false, matches: date => matchers.some(matcher => matcher(date)) };
+}
+
+/**
+ * Find the weekday (Monday to Friday) nearest to a day of the month without
+ * leaving the month
+ * @param {DateTime} date - Any date in the month
+ * @param {number} day - Target day of the month
+ * @returns {number} Day of the month of the nearest weekday
+ */
+function nearestWeekday(date, day) {
+  const target = date.set({ day });
+
+  if (target.weekday === 6) {
+    return day === 1 ? day + 2 : day - 1;
+  }
+  if (target.weekday === 7) {
+    return day === date.daysInMonth ? day - 2 : day + 1;
+  }
+
+  return day;
+}
+
+/**
+ * Custom error class for invalid cron expressions
+ */
+export class CronExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronExpressionError';
+  }
+}
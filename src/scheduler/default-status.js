@@ -0,0 +1,106 @@
+/**
+ * Default status: what to show when no rule matches
+ * Configured with options.default_status_on_clear, optionally limited to
+ * active hours. Outside its active hours the schedule behaves as if it had no
+ * default status. Empty text and emoji mean the status is cleared instead.
+ */
+
+import { DateTime } from 'luxon';
+import { WEEKDAY_NUMBERS } from './calendar.js';
+
+/**
+ * Check whether a default status clears the status instead of setting one
+ * @param {Object} defaultStatus - options.default_status_on_clear
+ * @returns {boolean} True if both text and emoji are empty
+ */
+export function isClearingStatus(defaultStatus) {
+  return !defaultStatus.text && !defaultStatus.emoji && !defaultStatus.pool;
+}
+
+/**
+ * Find the active hours window of a default status that contains a time
+ * @param {Object} defaultStatus - options.default_status_on_clear
+ * @param {DateTime} localDate - Time in the schedule's timezone
+ * @returns {Object|null} Window with start and end, both null when the default
+ *   status has no active hours, or null if it is not active at that time
+ */
+export function getDefaultStatusWindow(defaultStatus, localDate) {
+  if (!defaultStatus.active_hours) {
+    return { start: null, end: null };
+  }
+
+  const windows = getWindows(defaultStatus.active_hours, localDate, localDate);
+  return windows.find(({ start, end }) => start <= localDate && localDate < end) || null;
+}
+
+/**
+ * Find the next time a default status starts or stops being active
+ * @param {Object} defaultStatus - options.default_status_on_clear
+ * @param {DateTime} from - Exclusive start of the search
+ * @param {DateTime} until - Inclusive end of the search
+ * @returns {DateTime|null} First start or end of active hours, or null if none
+ */
+export function getNextDefaultStatusChange(defaultStatus, from, until) {
+  if (!defaultStatus.active_hours) {
+    return null;
+  }
+
+  const boundaries = getWindows(defaultStatus.active_hours, from, until)
+    .flatMap(({ start, end }) => [start, end])
+    .filter(boundary => boundary > from && boundary <= until);
+
+  return boundaries.length > 0 ? DateTime.min(...boundaries) : null;
+}
+
+/**
+ * Describe the active hours of a default status
+ * @param {Object} activeHours - active_hours configuration
+ * @returns {string} Description such as "09:00-17:00 mon, tue"
+ */
+export function describeActiveHours(activeHours) {
+  const days = activeHours.days ? ` ${activeHours.days.join(', ')}` : '';
+  return `${activeHours.start}-${activeHours.end}${days}`;
+}
+
+/**
+ * Get every active hours window that starts from the day before one time to
+ * the day of another; a window whose end is not after its start ends the
+ * next day
+ * @param {Object} activeHours - active_hours configuration
+ * @param {DateTime} from - First time of interest
+ * @param {DateTime} until - Last time of interest
+ * @returns {Array<Object>} Windows with start and end
+ */
+function getWindows(activeHours, from, until) {
+  const windows = [];
+  const last = until.startOf('day');
+
+  for (let day = from.startOf('day').minus({ days: 1 }); day <= last; day = day.plus({ days: 1 })) {
+    if (activeHours.days && !activeHours.days.some(name => WEEKDAY_NUMBERS[name] === day.weekday)) {
+      continue;
+    }
+
+    const start = atTime(day, activeHours.start);
+    let end = atTime(day, activeHours.end);
+    if (end <= start) {
+      end = atTime(day.plus({ days: 1 }), activeHours.end);
+    }
+
+    windows.push({ start, end });
+  }
+
+  return windows;
+}
+
+/**
+ * Get an HH:MM time on a day
+ * @param {DateTime} day - Day in the schedule's timezone
+ * @param {string} time - Time in HH:MM format
+ * @returns {DateTime} That time on the day; times in a DST gap move forward
+ */
+function atTime(day, time) {
+  const [hour, minute] = time.split(':').map(Number);
+  const { year, month, day: date, zone } = day;
+
+  return DateTime.fromObject({ year, month, day: date, hour, minute }, { zone });
+}
@@ -1,9 +1,24 @@
 /**
  * Schedule evaluator for matching rules against dates
- * Handles all rule types: weekly, every_n_days, and dates
+ * Handles all rule types: weekly, every_n_days, dates, monthly, annual, date_range,
+ * cron, composite, holiday and sequence
  */
 
 import { DateTime } from 'luxon';
+import { parseCronExpression, cronMatchesDay } from './cron.js';
+import { createWorkCalendar, WEEKDAY_NUMBERS } from './calendar.js';
+import { pickStatus } from './status-pool.js';
+
+/**
+ * Longest run of consecutive non-working days a rule can be moved across
+ */
+const MAX_NON_WORKING_RUN = 31;
+
+/**
+ * How many days ahead to look for a rule's next start; leap-day patterns can
+ * be up to four years away
+ */
+const SEARCH_DAYS = 366 * 4;
 
 /**
  * Create a schedule evaluator for a given schedule configuration
@@ -15,24 +30,119 @@ export function createScheduleEvaluator(schedule) {
     throw new Error('Schedule must contain rules array');
   }
 
+  const matchStrategy = schedule.options?.match_strategy || 'first_match';
+  const calendar = createWorkCalendar(schedule);
+
+  // Rules with their own tz are evaluated there; everything else uses the schedule timezone
+  const toRuleZone = (rule, date) => date.setZone(rule.tz || schedule.timezone);
+
+  // Scanning a period looks at the same days for every candidate instant, and
+  // a busy cron rule has hundreds of occurrences a day, so build each day once
+  const createOccurrenceCache = () => {
+    const cache = new Map();
+    return (rule, day, dayCalendar) => {
+      const key = `${schedule.rules.indexOf(rule)}:${day.year}-${day.month}-${day.day}`;
+      if (!cache.has(key)) {
+        cache.set(key, getOccurrencesOnDay(rule, day, dayCalendar));
+      }
+      return cache.get(key);
+    };
+  };
+
+  // Find the winning occurrence, building occurrences with the given function
+  const findActive = (targetDate, getOccurrences) => {
+    let winner = null;
+    for (const rule of schedule.rules) {
+      const localDate = toRuleZone(rule, targetDate);
+      const occurrence = getActiveOccurrence(rule, localDate, calendar, getOccurrences);
+      if (!occurrence) {
+        continue;
+      }
+
+      if (matchStrategy === 'first_match') {
+        return occurrence;
+      }
+
+      // Ties keep the earlier rule so file order still breaks them
+      if (!winner || occurrence.start > winner.start) {
+        winner = occurrence;
+      }
+    }
+
+    return winner;
+  };
+
+  // The winner can only change at a rule's midnight or when a rule starts or
+  // ends. Occurrences that began before the period can still end inside it.
+  const getCandidateInstants = (from, until, getOccurrences) => {
+    const candidates = [];
+    for (const rule of schedule.rules) {
+      const firstDay = toRuleZone(rule, from).startOf('day');
+      for (
+        let day = firstDay.minus({ days: getLookbackDays(rule) });
+        day < until;
+        day = day.plus({ days: 1 })
+      ) {
+        candidates.push(day);
+        for (const occurrence of getOccurrences(rule, day, calendar)) {
+          candidates.push(occurrence.start);
+          if (occurrence.end) {
+            candidates.push(occurrence.end);
+          }
+        }
+      }
+    }
+
+    return candidates
+      .filter(instant => instant >= from && instant < until)
+      .sort((a, b) => a - b)
+      .filter((instant, index, sorted) => index === 0 || +instant !== +sorted[index - 1]);
+  };
+
+  // The first instant after from where the active occurrence changes, with
+  // the occurrence taking over. A day at a time, so a change coming up soon is
+  // found without building the rest of the period.
+  const findNextChange = (from, until, getOccurrences) => {
+    const current = findActive(from, getOccurrences);
+
+    for (let dayFrom = from; dayFrom < until; dayFrom = dayFrom.plus({ days: 1 })) {
+      const dayUntil = DateTime.min(dayFrom.plus({ days: 1 }), until);
+
+      for (const instant of getCandidateInstants(dayFrom, dayUntil, getOccurrences)) {
+        if (instant <= from) {
+          continue;
+        }
+
+        const occurrence = findActive(instant, getOccurrences);
+        if ((occurrence || current) && !isSameOccurrence(occurrence, current)) {
+          return { at: instant.setZone(schedule.timezone), occurrence };
+        }
+      }
+    }
+
+    return null;
+  };
+
   return {
     /**
-     * Find the first matching rule for a given date
+     * Find the matching rule for a given date
      * @param {DateTime} targetDate - Date to evaluate
      * @returns {Object|null} Matching rule or null
      */
     findMatchingRule(targetDate) {
-      // Ensure we're working in the schedule's timezone
-      const localDate = targetDate.setZone(schedule.timezone);
-
-      // Rules are evaluated in order, first match wins
-      for (const rule of schedule.rules) {
-        if (evaluateRule(rule, localDate)) {
-          return rule;
-        }
-      }
+      const occurrence = this.findActiveOccurrence(targetDate);
+      return occurrence ? occurrence.rule : null;
+    },
 
-      return null;
+    /**
+     * Find the active rule occurrence for a given date
+     * With the default 'first_match' strategy the first matching rule in file
+     * order wins; with 'latest_start' the rule that started most recently wins
+     * @param {DateTime} targetDate - Date to evaluate
+     * @returns {Object|null} Occurrence with rule, status, start and end time, or null
+     */
+    findActiveOccurrence(targetDate) {
+      return findActive(targetDate, getOccurrencesOnDay);
     },
 
     /**
@@ -41,8 +151,9 @@ export function createScheduleEvaluator(schedule) {
      * @returns {Array} Array of matching rules
      */
     getAllMatchingRules(targetDate) {
-      const localDate = targetDate.setZone(schedule.timezone);
-      return schedule.rules.filter(rule => evaluateRule(rule, localDate));
+      return schedule.rules.filter(rule =>
+        evaluateRule(rule, toRuleZone(rule, targetDate), calendar),
+      );
     },
 
     /**
@@ -52,59 +163,522 @@ export function createScheduleEvaluator(schedule) {
      * @returns {boolean} True if rule matches
      */
     ruleMatches(rule, targetDate) {
-      const localDate = targetDate.setZone(schedule.timezone);
-      return evaluateRule(rule, localDate);
+      return evaluateRule(rule, toRuleZone(rule, targetDate), calendar);
+    },
+
+    /**
+     * Get every point between two dates where the winning rule changes
+     * @param {DateTime} startDate - Start of the period (inclusive)
+     * @param {DateTime} endDate - End of the period (exclusive)
+     * @returns {Array} Transitions with the instant and the occurrence taking over
+     */
+    getTransitions(startDate, endDate) {
+      const from = startDate.setZone(schedule.timezone);
+      const until = endDate.setZone(schedule.timezone);
+      const transitions = [];
+      const getOccurrences = createOccurrenceCache();
+      let previous = findActive(from.minus({ milliseconds: 1 }), getOccurrences);
+
+      for (const instant of getCandidateInstants(from, until, getOccurrences)) {
+        const occurrence = findActive(instant, getOccurrences);
+        if (occurrence && !isSameOccurrence(occurrence, previous)) {
+          transitions.push({
+            at: instant.setZone(schedule.timezone),
+            rule: occurrence.rule,
+            occurrence,
+          });
+        }
+        previous = occurrence;
+      }
+
+      return transitions;
+    },
+
+    /**
+     * Get the first point after a date where the active occurrence changes,
+     * including when the last active rule ends and nothing takes over
+     * @param {DateTime} startDate - Date to look from (exclusive)
+     * @param {DateTime} endDate - End of the period to search (exclusive)
+     * @returns {DateTime|null} Instant of the next change, or null if there is none
+     */
+    getNextChange(startDate, endDate) {
+      const change = findNextChange(
+        startDate.setZone(schedule.timezone),
+        endDate.setZone(schedule.timezone),
+        createOccurrenceCache(),
+      );
+
+      return change ? change.at : null;
+    },
+
+    /**
+     * Get the first point after a date where a rule starts, skipping changes
+     * where the last active rule ends and nothing takes over
+     * @param {DateTime} startDate - Date to look from (exclusive)
+     * @param {DateTime} endDate - End of the period to search (exclusive)
+     * @returns {DateTime|null} Instant of the next start, or null if there is none
+     */
+    getNextStart(startDate, endDate) {
+      const until = endDate.setZone(schedule.timezone);
+      const getOccurrences = createOccurrenceCache();
+      let change = findNextChange(startDate.setZone(schedule.timezone), until, getOccurrences);
+
+      while (change && !change.occurrence) {
+        change = findNextChange(change.at, until, getOccurrences);
+      }
+
+      return change ? change.at : null;
     },
   };
 }
 
+/**
+ * Check whether two occurrences refer to the same rule run
+ * @param {Object|null} a - First occurrence
+ * @param {Object|null} b - Second occurrence
+ * @returns {boolean} True if both are the same rule starting at the same time
+ */
+function isSameOccurrence(a, b) {
+  return Boolean(a && b && a.rule === b.rule && +a.start === +b.start);
+}
+
 /**
  * Evaluate a single rule against a date
  * @param {Object} rule - Rule configuration
- * @param {DateTime} localDate - Date in the schedule's timezone
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @param {Object} calendar - Work calendar of the schedule
  * @returns {boolean} True if rule matches
  */
-function evaluateRule(rule, localDate) {
-  // Check if we should execute at a specific time
-  if (rule.time) {
-    if (!shouldExecuteAtTime(rule.time, localDate)) {
+function evaluateRule(rule, localDate, calendar) {
+  return getActiveOccurrence(rule, localDate, calendar) !== null;
+}
+
+/**
+ * Get the occurrence of a rule that is active at a given time
+ * Occurrences with an active window can run past midnight, so earlier days
+ * are checked as well
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @param {Object} calendar - Work calendar of the schedule
+ * @param {Function} [getOccurrences] - Builds a day's occurrences, possibly from a cache
+ * @returns {Object|null} Occurrence with rule, status, start and end time, or null
+ */
+function getActiveOccurrence(rule, localDate, calendar, getOccurrences = getOccurrencesOnDay) {
+  const lookback = getLookbackDays(rule);
+
+  for (let offset = 0; offset <= lookback; offset++) {
+    // Check the most recent start first so later occurrences win
+    const day = localDate.minus({ days: offset });
+    const occurrences = getOccurrences(rule, day, calendar);
+
+    for (let index = occurrences.length - 1; index >= 0; index--) {
+      const occurrence = occurrences[index];
+      if (localDate < occurrence.start) {
+        continue;
+      }
+
+      // Without an active window a rule stays active for the rest of its day
+      const end = occurrence.end || occurrence.start.startOf('day').plus({ days: 1 });
+      if (localDate < end) {
+        return occurrence;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the occurrences of a rule that start on the day of a date
+ * Disabled rules never have occurrences, and nothing starts on excepted days
+ * or, with skip_holidays, on public holidays
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {Array} Occurrences with rule, status, start and end time, ordered by start
+ */
+function getOccurrencesOnDay(rule, localDate, calendar) {
+  if (
+    rule.enabled === false ||
+    isExceptedDate(rule, localDate) ||
+    (rule.skip_holidays && calendar.isHoliday(localDate)) ||
+    !occursOnDay(rule, localDate, calendar)
+  ) {
+    return [];
+  }
+
+  return getRuleSlots(getDayRule(rule, localDate))
+    .flatMap(slot =>
+      getRuleStartTimes(slot, localDate).flatMap(start =>
+        rule.type === 'sequence'
+          ? getSequenceSteps(rule, start)
+          : [{ rule, status: slot.status, start, end: getRuleEndTime(slot, start) }],
+      ),
+    )
+    .map(occurrence => ({
+      ...occurrence,
+      status: pickStatus(occurrence.status, occurrence.start, rule.id),
+    }))
+    .sort((a, b) => a.start - b.start)
+    .map(occurrence => clipToValidity(rule, occurrence))
+    .filter(Boolean);
+}
+
+/**
+ * Split a rule into its time slots
+ * Each slot shares the rule's date predicate and inherits its other settings,
+ * such as tz, duration_minutes and the DST policies
+ * @param {Object} rule - Rule configuration for the day
+ * @returns {Array} One rule per slot, or just the rule when it has no slots
+ */
+function getRuleSlots(rule) {
+  if (!Array.isArray(rule.slots)) {
+    return [rule];
+  }
+
+  return rule.slots.map(slot => {
+    // A slot's own end_time replaces the rule's duration_minutes
+    const window = slot.end_time ? { duration_minutes: undefined } : {};
+    return { ...rule, ...window, ...slot, slots: undefined };
+  });
+}
+
+/**
+ * Get the occurrences of a sequence rule's steps, each starting when the
+ * previous one ends
+ * @param {Object} rule - Sequence rule configuration
+ * @param {DateTime} start - When the first step starts
+ * @returns {Array} One occurrence per step, ordered by start
+ */
+function getSequenceSteps(rule, start) {
+  let stepStart = start;
+
+  return rule.steps.map(step => {
+    const occurrence = {
+      rule,
+      status: step.status,
+      start: stepStart,
+      end: stepStart.plus({ minutes: step.duration_minutes }),
+    };
+    stepStart = occurrence.end;
+    return occurrence;
+  });
+}
+
+/**
+ * Get the period a rule is in effect, from its active_from and active_until
+ * A plain date covers the whole day: active_from starts at its midnight and
+ * active_until runs through to the end of its day
+ * @param {Object} rule - Rule configuration
+ * @param {string} zone - Timezone the rule is evaluated in
+ * @returns {Object} Period with from and until DateTimes, each null when unbounded
+ */
+export function getRuleValidity(rule, zone) {
+  const toBound = (value, isEnd) => {
+    if (!value) {
+      return null;
+    }
+
+    const bound = DateTime.fromISO(value, { zone });
+    return isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value) ? bound.plus({ days: 1 }) : bound;
+  };
+
+  return {
+    from: toBound(rule.active_from, false),
+    until: toBound(rule.active_until, true),
+  };
+}
+
+/**
+ * Trim an occurrence to the period its rule is in effect
+ * @param {Object} rule - Rule configuration
+ * @param {Object} occurrence - Occurrence with start and end time
+ * @returns {Object|null} Trimmed occurrence, or null if none of it is in effect
+ */
+function clipToValidity(rule, occurrence) {
+  if (!rule.active_from && !rule.active_until) {
+    return occurrence;
+  }
+
+  const { from, until } = getRuleValidity(rule, occurrence.start.zone);
+  let { start, end } = occurrence;
+  const windowEnd = end || start.startOf('day').plus({ days: 1 });
+
+  if (from && start < from) {
+    start = from;
+  }
+  if (until && until < windowEnd) {
+    end = until;
+  }
+
+  return start < (end || windowEnd) ? { ...occurrence, start, end } : null;
+}
+
+/**
+ * Get the time, window and status that apply to a rule on a given day
+ * Date ranges can override them on their first and last day
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @returns {Object} Rule with the day's overrides applied
+ */
+function getDayRule(rule, localDate) {
+  if (rule.type !== 'date_range') {
+    return rule;
+  }
+
+  const todayISO = localDate.toISODate();
+  let dayRule = rule;
+
+  if (todayISO === rule.start && rule.first_day) {
+    dayRule = applyDayOverride(dayRule, rule.first_day);
+  }
+  if (todayISO === rule.end && rule.last_day) {
+    dayRule = applyDayOverride(dayRule, rule.last_day);
+  }
+
+  return dayRule;
+}
+
+/**
+ * Apply a day override to a rule
+ * @param {Object} rule - Rule configuration
+ * @param {Object} override - Override with time, end_time, duration_minutes or status
+ * @returns {Object} Rule with the override applied
+ */
+function applyDayOverride(rule, override) {
+  const dayRule = { ...rule, ...override };
+
+  // A window set on the override replaces whichever window the rule had
+  if (override.end_time !== undefined) {
+    delete dayRule.duration_minutes;
+  }
+  if (override.duration_minutes !== undefined) {
+    delete dayRule.end_time;
+  }
+
+  return dayRule;
+}
+
+/**
+ * Check whether a day is listed in a rule's except_dates or except_ranges
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @returns {boolean} True if the rule is skipped on that day
+ */
+function isExceptedDate(rule, localDate) {
+  const todayISO = localDate.toISODate();
+
+  if (rule.except_dates?.includes(todayISO)) {
+    return true;
+  }
+
+  return (rule.except_ranges || []).some(range => todayISO >= range.start && todayISO <= range.end);
+}
+
+/**
+ * Check whether a rule's date pattern covers the calendar day of a date
+ * Exceptions and the enabled flag are not taken into account
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @param {Object} [calendar] - Work calendar of the schedule (defaults to Monday to Friday)
+ * @returns {boolean} True if the pattern covers that day
+ */
+export function ruleMatchesDate(rule, localDate, calendar = createWorkCalendar()) {
+  return occursOnDay(rule, localDate, calendar);
+}
+
+/**
+ * Check whether a rule occurs on a day once its on_non_working_day policy moves
+ * days that fall on weekends or holidays
+ * - keep (default): the rule occurs on non-working days like any other day
+ * - skip: the rule does not occur on non-working days
+ * - next / previous: the rule occurs on the nearest working day after / before
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {boolean} True if the rule occurs on that day
+ */
+function occursOnDay(rule, localDate, calendar) {
+  const policy = rule.on_non_working_day || 'keep';
+
+  if (policy === 'keep') {
+    return matchesDate(rule, localDate, calendar);
+  }
+
+  if (!calendar.isWorkingDay(localDate)) {
+    return false;
+  }
+  if (matchesDate(rule, localDate, calendar)) {
+    return true;
+  }
+  if (policy === 'skip') {
+    return false;
+  }
+
+  // Look through the non-working days this working day stands in for
+  const step = policy === 'next' ? -1 : 1;
+  for (let offset = 1; offset <= MAX_NON_WORKING_RUN; offset++) {
+    const day = localDate.plus({ days: step * offset });
+    if (calendar.isWorkingDay(day)) {
       return false;
     }
+    if (matchesDate(rule, day, calendar)) {
+      return true;
+    }
   }
 
+  return false;
+}
+
+/**
+ * Check whether a rule applies to the calendar day of a date
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {boolean} True if the rule applies on that day
+ */
+function matchesDate(rule, localDate, calendar) {
   switch (rule.type) {
     case 'weekly':
-      return evaluateWeeklyRule(rule, localDate);
+      return evaluateWeeklyRule(rule, localDate, calendar);
     case 'every_n_days':
-      return evaluateIntervalRule(rule, localDate);
+      return evaluateIntervalRule(rule, localDate, calendar);
     case 'dates':
       return evaluateDateRule(rule, localDate);
+    case 'monthly':
+      return evaluateMonthlyRule(rule, localDate, calendar);
+    case 'annual':
+      return evaluateAnnualRule(rule, localDate);
+    case 'date_range':
+      return evaluateDateRangeRule(rule, localDate);
+    case 'cron':
+      return cronMatchesDay(parseCronExpression(rule.expression), localDate);
+    case 'composite':
+      return evaluateCondition(rule.when, localDate, calendar);
+    case 'holiday':
+      return calendar.isHoliday(localDate);
+    case 'sequence':
+      // Without a when condition a sequence runs every day
+      return rule.when ? evaluateCondition(rule.when, localDate, calendar) : true;
     default:
       throw new Error(`Unknown rule type: ${rule.type}`);
   }
 }
 
 /**
- * Check if the current time matches the rule's execution time
- * @param {string} ruleTime - Time in HH:MM format
- * @param {DateTime} currentDate - Current date/time
- * @returns {boolean} True if we should execute now
+ * Get the times a rule starts on the day of a date
+ * Cron rules can fire several times a day; every other rule starts once
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @returns {Array<DateTime>} Start times on that day, in order
+ */
+function getRuleStartTimes(rule, localDate) {
+  const policies = { nonexistent: rule.dst_nonexistent, ambiguous: rule.dst_ambiguous };
+
+  if (rule.type === 'cron') {
+    const { hours, minutes } = parseCronExpression(rule.expression);
+    return hours
+      .flatMap(hour => minutes.map(minute => atTimeOfDay(localDate, hour, minute, policies)))
+      .filter(Boolean);
+  }
+
+  if (!rule.time) {
+    return [localDate.startOf('day')];
+  }
+
+  const [hours, minutes] = rule.time.split(':').map(Number);
+  const start = atTimeOfDay(localDate, hours, minutes, policies);
+  return start ? [start] : [];
+}
+
+/**
+ * Get a wall-clock time on the day of a date
+ * On DST transition days a time can be skipped by the clocks going forward or
+ * repeated by them going back; the policies decide what happens then
+ * @param {DateTime} localDate - Date in the rule's timezone
+ * @param {number} hours - Hour of the day
+ * @param {number} minutes - Minute of the hour
+ * @param {Object} [policies] - DST policies
+ * @param {string} [policies.nonexistent] - 'shift_forward' (default) moves a skipped
+ *   time forward by the length of the gap; 'skip' drops it
+ * @param {string} [policies.ambiguous] - 'first' (default) or 'second' of a repeated time
+ * @returns {DateTime|null} That time on the same day, or null if it is skipped
+ */
+function atTimeOfDay(localDate, hours, minutes, policies = {}) {
+  const { year, month, day, zone } = localDate;
+  const time = DateTime.fromObject({ year, month, day, hour: hours, minute: minutes }, { zone });
+
+  // Luxon moves times inside a DST gap forward by the length of the gap
+  if (time.hour !== hours || time.minute !== minutes) {
+    return policies.nonexistent === 'skip' ? null : time;
+  }
+
+  // Luxon resolves repeated times to their first occurrence
+  if (policies.ambiguous === 'second') {
+    const second = time.plus({ minutes: time.offset - time.plus({ hours: 3 }).offset });
+    if (second > time && second.hour === hours && second.minute === minutes) {
+      return second;
+    }
+  }
+
+  return time;
+}
+
+/**
+ * Get the time a rule's active window closes
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} start - Start of the occurrence
+ * @returns {DateTime|null} End of the window, or null if the rule has none
+ */
+function getRuleEndTime(rule, start) {
+  if (rule.duration_minutes) {
+    return start.plus({ minutes: rule.duration_minutes });
+  }
+
+  if (rule.end_time) {
+    const [hours, minutes] = rule.end_time.split(':').map(Number);
+    const policies = { ambiguous: rule.dst_ambiguous };
+    const end = atTimeOfDay(start, hours, minutes, policies);
+
+    // An end time at or before the start time closes the window the next day
+    return end > start ? end : atTimeOfDay(start.plus({ days: 1 }), hours, minutes, policies);
+  }
+
+  return null;
+}
+
+/**
+ * Get how many days before a date an active occurrence of a rule may have started
+ * @param {Object} rule - Rule configuration
+ * @returns {number} Number of earlier days to check
  */
-function shouldExecuteAtTime(ruleTime, currentDate) {
-  const [hours, minutes] = ruleTime.split(':').map(Number);
-  const ruleDateTime = currentDate.startOf('day').plus({ hours, minutes });
+function getLookbackDays(rule) {
+  const windows = [rule, rule.first_day, rule.last_day, ...(rule.slots || [])].filter(Boolean);
+
+  if (rule.type === 'sequence') {
+    const minutes = rule.steps.reduce((total, step) => total + step.duration_minutes, 0);
+    windows.push({ duration_minutes: minutes });
+  }
 
-  // Execute if current time is at or past the rule time, but still the same day
-  return currentDate >= ruleDateTime && currentDate.hasSame(ruleDateTime, 'day');
+  return Math.max(
+    ...windows.map(window => {
+      if (window.duration_minutes) {
+        return Math.ceil(window.duration_minutes / (24 * 60));
+      }
+
+      return window.end_time ? 1 : 0;
+    }),
+  );
 }
 
 /**
  * Evaluate weekly rule (runs on specific days of week)
  * @param {Object} rule - Weekly rule configuration
  * @param {DateTime} localDate - Date to check
+ * @param {Object} calendar - Work calendar of the schedule
  * @returns {boolean} True if rule matches
  */
-function evaluateWeeklyRule(rule, localDate) {
+function evaluateWeeklyRule(rule, localDate, calendar) {
   if (!rule.days || !Array.isArray(rule.days)) {
     throw new Error('Weekly rule must have days array');
   }
@@ -117,24 +691,50 @@ function evaluateWeeklyRule(rule, localDate) {
     return false;
   }
 
+  // Check week_interval cadence if specified
+  if (rule.week_interval > 1 && !isOnWeekCadence(rule, localDate)) {
+    return false;
+  }
+
   // Check only_weekdays constraint if specified
   if (rule.only_weekdays) {
-    const isWeekday = localDate.weekday <= 5; // Monday = 1, Sunday = 7
-    return isWeekday;
+    return calendar.isWorkingDay(localDate);
   }
 
   return true;
 }
 
 /**
- * Evaluate interval rule (runs every N days from start date)
+ * Check whether a date falls in a week on a weekly rule's cadence
+ * Weeks run Monday to Sunday; the week containing anchor_date is on the
+ * cadence, as is every week_interval-th week before and after it
+ * @param {Object} rule - Weekly rule with week_interval and anchor_date
+ * @param {DateTime} localDate - Date to check
+ * @returns {boolean} True if the date's week is on the cadence
+ */
+function isOnWeekCadence(rule, localDate) {
+  const anchor = DateTime.fromISO(rule.anchor_date, { zone: localDate.zone });
+  if (!anchor.isValid) {
+    throw new Error(`Invalid anchor_date in rule: ${rule.anchor_date}`);
+  }
+
+  // Compare calendar dates so DST changes cannot leave a fractional week
+  const weeks = daysBetween(anchor.startOf('week'), localDate.startOf('week')) / 7;
+
+  return weeks % rule.week_interval === 0;
+}
+
+/**
+ * Evaluate interval rule (runs every N days, business days, weeks or months from start date)
  * @param {Object} rule - Interval rule configuration
  * @param {DateTime} localDate - Date to check
+ * @param {Object} calendar - Work calendar of the schedule
  * @returns {boolean} True if rule matches
  */
-function evaluateIntervalRule(rule, localDate) {
-  if (!rule.start_date || !rule.interval_days) {
-    throw new Error('Interval rule must have start_date and interval_days');
+function evaluateIntervalRule(rule, localDate, calendar) {
+  const { interval, unit } = getInterval(rule);
+  if (!rule.start_date || !interval) {
+    throw new Error('Interval rule must have start_date and interval_days or interval');
   }
 
   const startDate = DateTime.fromISO(rule.start_date, { zone: localDate.zone });
@@ -142,28 +742,115 @@ function evaluateIntervalRule(rule, localDate) {
     throw new Error(`Invalid start_date in rule: ${rule.start_date}`);
   }
 
-  // Calculate days since start date
-  const daysSinceStart = Math.floor(localDate.diff(startDate, 'days').days);
+  // Check if today is an interval day
+  let isIntervalDay;
+  switch (unit) {
+    case 'business_days':
+      isIntervalDay = isBusinessDayInterval(startDate, localDate, interval, calendar);
+      break;
+    case 'weeks':
+      isIntervalDay = isDayInterval(startDate, localDate, interval * 7);
+      break;
+    case 'months':
+      isIntervalDay = isMonthInterval(startDate, localDate, interval);
+      break;
+    default:
+      isIntervalDay = isDayInterval(startDate, localDate, interval);
+  }
+
+  if (!isIntervalDay) {
+    return false;
+  }
+
+  // Check only_weekdays constraint if specified
+  if (rule.only_weekdays) {
+    return calendar.isWorkingDay(localDate);
+  }
+
+  return true;
+}
+
+/**
+ * Get the interval of an every_n_days rule
+ * interval_days is shorthand for an interval counted in days
+ * @param {Object} rule - Interval rule configuration
+ * @returns {Object} Interval length and unit ('days', 'business_days', 'weeks' or 'months')
+ */
+function getInterval(rule) {
+  if (rule.interval !== undefined) {
+    return { interval: rule.interval, unit: rule.interval_unit || 'days' };
+  }
+
+  return { interval: rule.interval_days, unit: 'days' };
+}
+
+/**
+ * Check whether a date is a whole number of N-day steps on from a start date
+ * @param {DateTime} startDate - First day of the interval
+ * @param {DateTime} localDate - Date to check
+ * @param {number} days - Days between occurrences
+ * @returns {boolean} True if the date is an interval day
+ */
+function isDayInterval(startDate, localDate, days) {
+  // Count calendar days so DST changes cannot shorten a day
+  const daysSinceStart = daysBetween(startDate, localDate);
 
   // Rule doesn't apply before start date
   if (daysSinceStart < 0) {
     return false;
   }
 
-  // Check if today is an interval day
-  const isIntervalDay = daysSinceStart % rule.interval_days === 0;
+  return daysSinceStart % days === 0;
+}
 
-  if (!isIntervalDay) {
+/**
+ * Check whether a date is a whole number of N-month steps on from a start date
+ * Steps keep the start date's day of the month, falling back to the last day
+ * of shorter months, so they never drift
+ * @param {DateTime} startDate - First day of the interval
+ * @param {DateTime} localDate - Date to check
+ * @param {number} months - Months between occurrences
+ * @returns {boolean} True if the date is an interval day
+ */
+function isMonthInterval(startDate, localDate, months) {
+  const monthsSinceStart =
+    (localDate.year - startDate.year) * 12 + (localDate.month - startDate.month);
+
+  if (monthsSinceStart < 0 || monthsSinceStart % months !== 0) {
     return false;
   }
 
-  // Check only_weekdays constraint if specified
-  if (rule.only_weekdays) {
-    const isWeekday = localDate.weekday <= 5;
-    return isWeekday;
+  return startDate.plus({ months: monthsSinceStart }).toISODate() === localDate.toISODate();
+}
+
+/**
+ * Check whether a date is a business day a whole number of N-business-day steps
+ * on from a start date
+ * The first business day on or after the start date is the first occurrence
+ * @param {DateTime} startDate - First day of the interval
+ * @param {DateTime} localDate - Date to check
+ * @param {number} businessDays - Business days between occurrences
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {boolean} True if the date is an interval day
+ */
+function isBusinessDayInterval(startDate, localDate, businessDays, calendar) {
+  if (!calendar.isWorkingDay(localDate) || localDate.toISODate() < startDate.toISODate()) {
+    return false;
   }
 
-  return true;
+  const elapsed = calendar.countWorkingDays(startDate, daysBetween(startDate, localDate));
+  return elapsed % businessDays === 0;
+}
+
+/**
+ * Count the calendar days between two dates, ignoring the time of day and DST
+ * @param {DateTime} fromDate - Earlier date
+ * @param {DateTime} toDate - Later date
+ * @returns {number} Number of calendar days (negative if toDate is earlier)
+ */
+function daysBetween(fromDate, toDate) {
+  const toUTCDate = date => DateTime.fromISO(date.toISODate(), { zone: 'UTC' });
+  return Math.round(toUTCDate(toDate).diff(toUTCDate(fromDate), 'days').days);
 }
 
 /**
@@ -182,72 +869,334 @@ function evaluateDateRule(rule, localDate) {
   return rule.dates.includes(todayISO);
 }
 
+/**
+ * Evaluate monthly rule (runs on a fixed day, the nth weekday, or the last
+ * business day of each month)
+ * @param {Object} rule - Monthly rule configuration
+ * @param {DateTime} localDate - Date to check
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {boolean} True if rule matches
+ */
+function evaluateMonthlyRule(rule, localDate, calendar) {
+  if (rule.day_of_month !== undefined) {
+    // Days past the end of a short month fall on its last day
+    return localDate.day === Math.min(rule.day_of_month, localDate.daysInMonth);
+  }
+
+  if (rule.weekday !== undefined) {
+    return isNthWeekdayOfMonth(localDate, rule.weekday, rule.week);
+  }
+
+  if (rule.last_business_day) {
+    return isLastBusinessDayOfMonth(localDate, calendar);
+  }
+
+  throw new Error('Monthly rule must have day_of_month, weekday, or last_business_day');
+}
+
+/**
+ * Check if a date is the nth (or last) given weekday of its month
+ * @param {DateTime} localDate - Date to check
+ * @param {string} weekday - Day abbreviation ('mon', 'tue', etc.)
+ * @param {number|string} week - Week of the month (1-5) or 'last'
+ * @returns {boolean} True if the date is that weekday
+ */
+function isNthWeekdayOfMonth(localDate, weekday, week) {
+  if (localDate.weekday !== WEEKDAY_NUMBERS[weekday]) {
+    return false;
+  }
+
+  if (week === 'last') {
+    return localDate.day + 7 > localDate.daysInMonth;
+  }
+
+  return Math.ceil(localDate.day / 7) === week;
+}
+
+/**
+ * Check if a date is the last business day of its month
+ * @param {DateTime} localDate - Date to check
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {boolean} True if no later business day exists in the month
+ */
+function isLastBusinessDayOfMonth(localDate, calendar) {
+  if (!calendar.isWorkingDay(localDate)) {
+    return false;
+  }
+
+  for (let day = localDate.day + 1; day <= localDate.daysInMonth; day++) {
+    if (calendar.isWorkingDay(localDate.set({ day }))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate annual rule (runs on the same calendar or floating date every year)
+ * @param {Object} rule - Annual rule configuration
+ * @param {DateTime} localDate - Date to check
+ * @returns {boolean} True if rule matches
+ */
+function evaluateAnnualRule(rule, localDate) {
+  if (!rule.on || !Array.isArray(rule.on)) {
+    throw new Error('Annual rule must have on array');
+  }
+
+  const today = localDate.startOf('day');
+
+  return rule.on.some(entry => {
+    const spanDays = entry.span_days ?? rule.span_days ?? 1;
+
+    // A span that starts late in December can run into the next year
+    return [today.year, today.year - 1].some(year => {
+      const anchor = getAnnualDate(entry, year, localDate.zone);
+      if (!anchor) {
+        return false;
+      }
+
+      const daysSinceAnchor = daysBetween(anchor, today);
+      return daysSinceAnchor >= 0 && daysSinceAnchor < spanDays;
+    });
+  });
+}
+
+/**
+ * Resolve an annual date entry to a concrete date in a given year
+ * @param {string|Object} entry - 'MM-DD' string, { date: 'MM-DD' } or
+ *   { month, weekday, week } floating date
+ * @param {number} year - Year to resolve in
+ * @param {Zone} zone - Zone of the resulting date
+ * @returns {DateTime|null} Start of the resolved day, or null if it does not exist that year
+ */
+function getAnnualDate(entry, year, zone) {
+  const fixed = typeof entry === 'string' ? entry : entry.date;
+
+  if (fixed) {
+    const [month, day] = fixed.split('-').map(Number);
+    const date = DateTime.fromObject({ year, month, day }, { zone });
+
+    // February 29 only exists in leap years
+    return date.isValid ? date : null;
+  }
+
+  const firstOfMonth = DateTime.fromObject({ year, month: entry.month, day: 1 }, { zone });
+  const weekday = WEEKDAY_NUMBERS[entry.weekday];
+
+  if (entry.week === 'last') {
+    const lastOfMonth = firstOfMonth.endOf('month').startOf('day');
+    return lastOfMonth.minus({ days: (lastOfMonth.weekday - weekday + 7) % 7 });
+  }
+
+  const firstMatch = firstOfMonth.plus({ days: (weekday - firstOfMonth.weekday + 7) % 7 });
+  const date = firstMatch.plus({ weeks: entry.week - 1 });
+  return date.month === entry.month ? date : null;
+}
+
+/**
+ * Evaluate date range rule (runs on every day from start to end, inclusive)
+ * @param {Object} rule - Date range rule configuration
+ * @param {DateTime} localDate - Date to check
+ * @returns {boolean} True if rule matches
+ */
+function evaluateDateRangeRule(rule, localDate) {
+  if (!rule.start || !rule.end) {
+    throw new Error('Date range rule must have start and end');
+  }
+
+  const todayISO = localDate.toISODate();
+
+  return todayISO >= rule.start && todayISO <= rule.end;
+}
+
+/**
+ * Evaluate a node of a composite rule's when tree
+ * @param {Object} condition - Combinator ({ all }, { any }, { not }) or a condition with a type
+ * @param {DateTime} localDate - Date to check
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {boolean} True if the condition holds on that day
+ */
+function evaluateCondition(condition, localDate, calendar) {
+  if (!condition) {
+    throw new Error('Composite rule must have a when condition');
+  }
+
+  if (condition.all) {
+    return condition.all.every(child => evaluateCondition(child, localDate, calendar));
+  }
+  if (condition.any) {
+    return condition.any.some(child => evaluateCondition(child, localDate, calendar));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, localDate, calendar);
+  }
+
+  return matchesDate(condition, localDate, calendar);
+}
+
 /**
  * Get human-readable description of when a rule will next execute
  * @param {Object} rule - Rule configuration
- * @param {string} timezone - Timezone for calculations
+ * @param {string} timezone - Schedule timezone, used unless the rule sets its own tz
+ * @param {Object} [calendar] - Work calendar of the schedule (defaults to Monday to Friday)
  * @returns {string} Description of next execution
  */
-export function getNextExecutionDescription(rule, timezone) {
-  const now = DateTime.now().setZone(timezone);
+export function getNextExecutionDescription(rule, timezone, calendar = createWorkCalendar()) {
+  if (rule.enabled === false) {
+    return 'Rule is disabled';
+  }
+
+  const zone = rule.tz || timezone;
+  const { until } = getRuleValidity(rule, zone);
+  const now = DateTime.now().setZone(zone);
+
+  if (until && now >= until) {
+    return 'Rule has expired';
+  }
+
+  // Moved days no longer follow the rule's own pattern
+  if (rule.on_non_working_day && rule.on_non_working_day !== 'keep' && rule.type !== 'cron') {
+    return getNextStartExecution(rule, now, calendar);
+  }
 
   switch (rule.type) {
     case 'weekly':
-      return getNextWeeklyExecution(rule, now);
+    case 'monthly':
+    case 'annual':
+    case 'composite':
+    case 'sequence':
+      return getNextStartExecution(rule, now, calendar);
     case 'every_n_days':
-      return getNextIntervalExecution(rule, now);
+      return getNextIntervalExecution(rule, now, calendar);
     case 'dates':
-      return getNextDateExecution(rule, now);
+      return getNextDateExecution(rule, now, calendar);
+    case 'date_range':
+      return getNextDateRangeExecution(rule, now);
+    case 'cron':
+      return getNextCronExecution(rule, now, calendar);
+    case 'holiday':
+      return getNextHolidayExecution(rule, now, calendar);
     default:
       return 'Unknown rule type';
   }
 }
 
-function getNextWeeklyExecution(rule, now) {
-  const days = rule.days
-    .map(day => {
-      const dayMap = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7 };
-      return dayMap[day];
-    })
-    .sort();
+function getNextStartExecution(rule, now, calendar) {
+  const next = findNextStart(rule, now, now, calendar);
+  return next ? describeNextExecution(rule, next) : 'No upcoming date found';
+}
+
+function getNextIntervalExecution(rule, now, calendar) {
+  const startDate = DateTime.fromISO(rule.start_date, { zone: now.zone });
+  const from = startDate > now ? startDate : now;
+
+  // Any interval recurs within its length in months
+  const { interval } = getInterval(rule);
+  const next = findNextStart(rule, from, now, calendar, Math.max(interval * 31 + 7, SEARCH_DAYS));
+  return next ? describeNextExecution(rule, next) : 'No upcoming date found';
+}
 
-  const currentWeekday = now.weekday;
-  let nextDay = days.find(day => day > currentWeekday);
+function getNextDateExecution(rule, now, calendar) {
+  const today = now.toISODate();
+  const dates = rule.dates.filter(date => date >= today).sort();
 
-  if (!nextDay) {
-    nextDay = days[0] + 7; // Next week
+  for (const date of dates) {
+    const next = findNextStart(rule, DateTime.fromISO(date, { zone: now.zone }), now, calendar, 0);
+    if (next) {
+      return describeNextExecution(rule, next);
+    }
   }
 
-  const daysUntil = nextDay > 7 ? nextDay - 7 - currentWeekday : nextDay - currentWeekday;
-  const nextDate = now.plus({ days: daysUntil });
+  return 'No future dates scheduled';
+}
+
+function getNextDateRangeExecution(rule, now) {
+  const today = now.toISODate();
+  const endDate = DateTime.fromISO(rule.end, { zone: now.zone });
+  const until = endDate.toFormat('cccc, LLL dd');
+
+  if (today > rule.end) {
+    return 'Date range has ended';
+  }
+
+  // On its first day the range is in progress only once it has started
+  const startDate = DateTime.fromISO(rule.start, { zone: now.zone });
+  const startDay = getDayRule(rule, startDate);
+  const firstStarts = getRuleSlots(startDay).flatMap(slot => getRuleStartTimes(slot, startDate));
+  if (today > rule.start || firstStarts.some(start => start <= now)) {
+    return `In progress until ${until}`;
+  }
 
-  return `Next: ${nextDate.toFormat('cccc, LLL dd')} at ${rule.time || 'start of day'}`;
+  const zone = rule.tz ? ` (${rule.tz})` : '';
+  return (
+    `Next: ${startDate.toFormat('cccc, LLL dd')} at ${startDay.time || 'start of day'} ` +
+    `until ${until}${zone}`
+  );
 }
 
-function getNextIntervalExecution(rule, now) {
-  const startDate = DateTime.fromISO(rule.start_date, { zone: now.zone });
-  const daysSinceStart = Math.floor(now.diff(startDate, 'days').days);
+function getNextCronExecution(rule, now, calendar) {
+  const next = findNextStart(rule, now, now, calendar);
+  if (!next) {
+    return 'No upcoming fire time found';
+  }
 
-  let nextIntervalDays;
-  if (daysSinceStart < 0) {
-    nextIntervalDays = 0;
-  } else {
-    const remainder = daysSinceStart % rule.interval_days;
-    nextIntervalDays = remainder === 0 ? 0 : rule.interval_days - remainder;
+  const zone = rule.tz ? ` (${rule.tz})` : '';
+  return `Next: ${next.toFormat('cccc, LLL dd')} at ${next.toFormat('HH:mm')}${zone}`;
+}
+
+function getNextHolidayExecution(rule, now, calendar) {
+  const next = findNextStart(rule, now, now, calendar);
+  if (!next) {
+    return 'No upcoming holiday found';
   }
 
-  const nextDate = now.plus({ days: nextIntervalDays });
-  return `Next: ${nextDate.toFormat('cccc, LLL dd')} at ${rule.time || 'start of day'}`;
+  return `${describeNextExecution(rule, next)} - ${calendar.getHoliday(next).name}`;
 }
 
-function getNextDateExecution(rule, now) {
-  const today = now.toISODate();
-  const futureDates = rule.dates.filter(date => date >= today).sort();
+/**
+ * Find the first time a rule starts after a given time
+ * Days go through the same check as evaluation, so excepted days and skipped
+ * holidays are passed over. The search starts no earlier than active_from and
+ * stops at active_until.
+ * @param {Object} rule - Rule configuration
+ * @param {DateTime} from - First day to look at
+ * @param {DateTime} now - Time the start has to be after
+ * @param {Object} calendar - Work calendar of the schedule
+ * @param {number} [days] - How many days after from to look at
+ * @returns {DateTime|null} Next start, or null if there is none in that time
+ */
+function findNextStart(rule, from, now, calendar, days = SEARCH_DAYS) {
+  const validity = getRuleValidity(rule, from.zone);
+  const first = validity.from && validity.from > from ? validity.from : from;
+
+  for (let offset = 0; offset <= days; offset++) {
+    const day = first.plus({ days: offset });
+    if (validity.until && day.startOf('day') >= validity.until) {
+      break;
+    }
 
-  if (futureDates.length === 0) {
-    return 'No future dates scheduled';
+    const occurrences = getOccurrencesOnDay(rule, day, calendar);
+    if (occurrences.length === 0) {
+      continue;
+    }
+
+    // Only the rule's own start times count, not the later steps of a sequence
+    const starts = new Set(occurrences.map(occurrence => +occurrence.start));
+    const next = getRuleSlots(getDayRule(rule, day))
+      .flatMap(slot => getRuleStartTimes(slot, day))
+      .filter(start => start > now && starts.has(+start))
+      .sort((a, b) => a - b)[0];
+    if (next) {
+      return next;
+    }
   }
 
-  const nextDate = DateTime.fromISO(futureDates[0], { zone: now.zone });
-  return `Next: ${nextDate.toFormat('cccc, LLL dd')} at ${rule.time || 'start of day'}`;
+  return null;
+}
+
+function describeNextExecution(rule, nextDate) {
+  const zone = rule.tz ? ` (${rule.tz})` : '';
+  const time = rule.slots ? rule.slots.map(slot => slot.time).join(', ') : rule.time;
+  return `Next: ${nextDate.toFormat('cccc, LLL dd')} at ${time || 'start of day'}${zone}`;
 }
@@ -0,0 +1,108 @@
+/**
+ * Status pools: a rule status that rotates between several variants
+ * The variant is picked from the date an occurrence starts on, so every run,
+ * preview and upcoming change for that date agrees
+ */
+
+/**
+ * Ways a variant can be picked from a pool
+ */
+export const POOL_PICKS = ['round_robin', 'weighted', 'day_of_year'];
+
+/**
+ * Properties of a pooled status that configure the pool rather than the status
+ */
+const POOL_KEYS = ['pool', 'pick', 'seed'];
+
+/**
+ * Get every status a status configuration can resolve to
+ * Variants inherit the pool's shared properties, such as emoji and expire_hour
+ * @param {Object} status - Status, with or without a pool
+ * @returns {Array<Object>} Possible statuses, or just the status when it has no pool
+ */
+export function getStatusVariants(status) {
+  if (!status || !Array.isArray(status.pool)) {
+    return [status];
+  }
+
+  const shared = Object.fromEntries(
+    Object.entries(status).filter(([key]) => !POOL_KEYS.includes(key)),
+  );
+
+  return status.pool.map(variant => {
+    const properties = { ...shared, ...variant };
+    delete properties.weight;
+    return properties;
+  });
+}
+
+/**
+ * Pick the status to set for an occurrence
+ * @param {Object} status - Status, with or without a pool
+ * @param {DateTime} start - When the occurrence starts, in the rule's timezone
+ * @param {string} [ruleId] - Rule ID, the default seed for weighted picks
+ * @returns {Object} Status to set
+ */
+export function pickStatus(status, start, ruleId = '') {
+  if (!status || !Array.isArray(status.pool)) {
+    return status;
+  }
+
+  const variants = getStatusVariants(status);
+
+  switch (status.pick || 'round_robin') {
+    case 'day_of_year':
+      return variants[(start.ordinal - 1) % variants.length];
+    case 'weighted':
+      return pickWeighted(status.pool, variants, `${status.seed ?? ruleId}:${start.toISODate()}`);
+    default: {
+      // Whole days since 1970-01-01, so consecutive days get consecutive variants
+      const day = Date.UTC(start.year, start.month - 1, start.day) / 86400000;
+      return variants[day % variants.length];
+    }
+  }
+}
+
+/**
+ * Pick a variant at random in proportion to its weight
+ * @param {Array<Object>} pool - Pool entries with optional weight (default 1)
+ * @param {Array<Object>} variants - Resolved statuses, in pool order
+ * @param {string} key - Seed and date; the same key always picks the same variant
+ * @returns {Object} Picked status
+ */
+function pickWeighted(pool, variants, key) {
+  const weights = pool.map(variant => variant?.weight ?? 1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let target = hashToUnit(key) * total;
+
+  for (let index = 0; index < variants.length; index++) {
+    target -= weights[index];
+    if (target < 0) {
+      return variants[index];
+    }
+  }
+
+  return variants[variants.length - 1];
+}
+
+/**
+ * Hash a string to a number in [0, 1) using 32-bit FNV-1a
+ * @param {string} key - String to hash
+ * @returns {number} Deterministic number for the string
+ */
+function hashToUnit(key) {
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < key.length; index++) {
+    hash ^= key.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  // FNV barely changes the high bits for keys that differ in the last
+  // character, as consecutive dates do, so mix them in (MurmurHash3 finalizer)
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  hash ^= hash >>> 16;
+
+  return (hash >>> 0) / 2 ** 32;
+}
@@ -0,0 +1,267 @@
+/**
+ * Template engine for status text
+ * Replaces {{variable}} and {{variable:argument}} tags with values worked out
+ * when the status is set, such as "OOO - back {{next_workday:ddd D MMM}}"
+ */
+
+import { DateTime } from 'luxon';
+import { createWorkCalendar } from './calendar.js';
+
+/**
+ * Longest date the date variables can render: the longest weekday and month
+ * names, two-digit days and hours, and a four-letter ordinal suffix ("27th")
+ */
+const LONGEST_DATE = DateTime.fromISO('2023-09-27T22:59:00', { zone: 'UTC' });
+
+/**
+ * Longest short timezone name tz_abbrev can render
+ */
+const LONGEST_TZ_ABBREV = 'GMT+10:30';
+
+/**
+ * Moment-style format tokens and how to render them; [text] is copied as is
+ */
+const FORMAT_TOKENS = /\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd|HH|H|hh|h|mm|A|a/g;
+
+const FORMATTERS = {
+  YYYY: date => date.toFormat('yyyy'),
+  YY: date => date.toFormat('yy'),
+  MMMM: date => date.toFormat('LLLL'),
+  MMM: date => date.toFormat('LLL'),
+  MM: date => date.toFormat('LL'),
+  M: date => date.toFormat('L'),
+  Do: date => `${date.day}${getOrdinalSuffix(date.day)}`,
+  DD: date => date.toFormat('dd'),
+  D: date => date.toFormat('d'),
+  dddd: date => date.toFormat('cccc'),
+  ddd: date => date.toFormat('ccc'),
+  HH: date => date.toFormat('HH'),
+  H: date => date.toFormat('H'),
+  hh: date => date.toFormat('hh'),
+  h: date => date.toFormat('h'),
+  mm: date => date.toFormat('mm'),
+  A: date => date.toFormat('a').toUpperCase(),
+  a: date => date.toFormat('a').toLowerCase(),
+};
+
+/**
+ * Template variables
+ * Each has the number of arguments it takes (separated by |), an optional
+ * check of those arguments and a render function. Renderers receive the
+ * render context: now, ruleId, calendar, getNextStart and sample.
+ */
+const VARIABLES = {
+  date: {
+    args: [0, 1],
+    render: (context, [format = 'ddd D MMM']) => formatDate(at(context, context.now), format),
+  },
+  time: {
+    args: [0, 1],
+    render: (context, [format = 'HH:mm']) => formatDate(at(context, context.now), format),
+  },
+  next_workday: {
+    args: [0, 1],
+    render: (context, [format = 'ddd D MMM']) =>
+      formatDate(at(context, getNextWorkday(context)), format),
+  },
+  days_until: {
+    args: [1, 1],
+    check: ([date]) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !DateTime.fromISO(date).isValid) {
+        throw new TemplateError(`days_until needs a YYYY-MM-DD date, got: ${date}`);
+      }
+    },
+    render: (context, [date]) => {
+      const target = DateTime.fromISO(date, { zone: context.now.zone });
+      const days = Math.round(target.diff(context.now.startOf('day'), 'days').days);
+      return String(Math.max(days, 0));
+    },
+  },
+  rule_id: {
+    args: [0, 0],
+    render: context => context.ruleId || '',
+  },
+  tz_abbrev: {
+    args: [0, 0],
+    render: context => (context.sample ? LONGEST_TZ_ABBREV : context.now.offsetNameShort),
+  },
+  time_in: {
+    args: [1, 2],
+    check: ([zone]) => {
+      if (!DateTime.now().setZone(zone).isValid) {
+        throw new TemplateError(`time_in needs a valid timezone, got: ${zone}`);
+      }
+    },
+    render: (context, [zone, format = 'HH:mm']) =>
+      formatDate(at(context, context.now.setZone(zone)), format),
+  },
+  next_start: {
+    args: [0, 1],
+    render: (context, [format = 'HH:mm']) => {
+      const next = context.sample ? LONGEST_DATE : context.getNextStart?.();
+      return next ? formatDate(next, format) : '';
+    },
+  },
+};
+
+/**
+ * Check whether text contains template tags
+ * @param {string} text - Status text
+ * @returns {boolean} True if the text has at least one {{ tag
+ */
+export function isTemplate(text) {
+  return typeof text === 'string' && text.includes('{{');
+}
+
+/**
+ * Parse a template into literal text and variable tags
+ * @param {string} text - Template text
+ * @returns {Array} Parts: strings for literal text, { name, args } for tags
+ * @throws {TemplateError} If a tag is unclosed, unknown or has invalid arguments
+ */
+export function parseTemplate(text) {
+  const parts = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const open = text.indexOf('{{', index);
+    if (open === -1) {
+      parts.push(text.slice(index));
+      break;
+    }
+
+    const close = text.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw new TemplateError(`Unclosed tag at position ${open + 1}`);
+    }
+
+    parts.push(text.slice(index, open), parseTag(text.slice(open + 2, close)));
+    index = close + 2;
+  }
+
+  return parts.filter(part => part !== '');
+}
+
+/**
+ * Render a template
+ * @param {string} text - Template text
+ * @param {Object} context - Render context
+ * @param {DateTime} context.now - Time the status is set, in the rule's timezone
+ * @param {string} [context.ruleId] - ID of the rule setting the status
+ * @param {Object} [context.calendar] - Work calendar for next_workday
+ * @param {Function} [context.getNextStart] - Returns when the next rule starts, or null
+ * @returns {string} Rendered text
+ * @throws {TemplateError} If the template is invalid
+ */
+export function renderTemplate(text, context) {
+  return parseTemplate(text)
+    .map(part =>
+      typeof part === 'string' ? part : VARIABLES[part.name].render(context, part.args),
+    )
+    .join('');
+}
+
+/**
+ * Render a template with the longest values its variables can take, to check
+ * it against Slack's length limit before it is ever set
+ * days_until counts from today, so the sample only gets shorter over time
+ * @param {string} text - Template text
+ * @param {string} [ruleId] - ID of the rule setting the status
+ * @returns {string} Rendered text
+ * @throws {TemplateError} If the template is invalid
+ */
+export function renderTemplateSample(text, ruleId = '') {
+  return renderTemplate(text, { now: DateTime.now(), ruleId, sample: true });
+}
+
+/**
+ * Parse the inside of a {{ }} tag
+ * @param {string} body - Tag contents, such as "next_workday:ddd D MMM"
+ * @returns {Object} Tag with variable name and arguments
+ */
+function parseTag(body) {
+  const separator = body.indexOf(':');
+  const name = (separator === -1 ? body : body.slice(0, separator)).trim();
+  const args = separator === -1 ? [] : body.slice(separator + 1).split('|');
+
+  const variable = VARIABLES[name];
+  if (!variable) {
+    throw new TemplateError(
+      `Unknown variable: ${name}. Must be one of: ${Object.keys(VARIABLES).join(', ')}`,
+    );
+  }
+
+  const [min, max] = variable.args;
+  if (args.length < min || args.length > max) {
+    throw new TemplateError(
+      max === 0
+        ? `${name} does not take an argument`
+        : `${name} takes ${min === max ? min : `${min} to ${max}`} argument(s)`,
+    );
+  }
+
+  variable.check?.(args);
+  return { name, args };
+}
+
+/**
+ * Use the longest sample date instead of a real one when rendering a sample
+ * @param {Object} context - Render context
+ * @param {DateTime} date - Real date
+ * @returns {DateTime} Date to render
+ */
+function at(context, date) {
+  return context.sample ? LONGEST_DATE : date;
+}
+
+/**
+ * Find the first working day after today
+ * @param {Object} context - Render context
+ * @returns {DateTime} Next working day
+ */
+function getNextWorkday(context) {
+  const calendar = context.calendar || createWorkCalendar();
+  let day = context.now.startOf('day').plus({ days: 1 });
+
+  // A year without a working day means the calendar is misconfigured
+  for (let offset = 0; offset < 366 && !calendar.isWorkingDay(day); offset++) {
+    day = day.plus({ days: 1 });
+  }
+
+  return day;
+}
+
+/**
+ * Format a date with Moment-style tokens
+ * @param {DateTime} date - Date to format
+ * @param {string} format - Format such as "ddd D MMM" or "h:mm A"
+ * @returns {string} Formatted date
+ */
+function formatDate(date, format) {
+  return format.replace(FORMAT_TOKENS, (token, literal) =>
+    literal !== undefined ? literal : FORMATTERS[token](date),
+  );
+}
+
+/**
+ * Get the English ordinal suffix of a day of the month
+ * @param {number} day - Day of the month
+ * @returns {string} "st", "nd", "rd" or "th"
+ */
+function getOrdinalSuffix(day) {
+  if (day >= 11 && day <= 13) {
+    return 'th';
+  }
+
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+}
+
+/**
+ * Custom error class for invalid status templates
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
@@ -4,18 +4,77 @@
  */
 
 import { DateTime } from 'luxon';
+import { parseCronExpression } from './cron.js';
+import { ruleMatchesDate, getRuleValidity } from './evaluator.js';
+import { createWorkCalendar } from './calendar.js';
+import { POOL_PICKS, getStatusVariants } from './status-pool.js';
+import { isTemplate, renderTemplateSample } from './template.js';
+import { isClearingStatus } from './default-status.js';
+import { HOLIDAY_COUNTRIES } from '../holidays/index.js';
+
+/**
+ * Supported rule types
+ */
+const RULE_TYPES = [
+  'weekly',
+  'every_n_days',
+  'dates',
+  'monthly',
+  'annual',
+  'date_range',
+  'cron',
+  'composite',
+  'holiday',
+  'sequence',
+];
+
+/**
+ * Rule types that can appear as conditions inside a composite rule's when tree
+ */
+const CONDITION_TYPES = RULE_TYPES.filter(type => !['composite', 'sequence'].includes(type));
+
+/**
+ * Boolean combinators of a composite rule's when tree
+ */
+const COMBINATORS = ['all', 'any', 'not'];
+
+/**
+ * Units an every_n_days rule can count its interval in
+ */
+const INTERVAL_UNITS = ['days', 'business_days', 'weeks', 'months'];
+
+/**
+ * What a rule can do when it lands on a weekend or holiday
+ */
+const NON_WORKING_DAY_POLICIES = ['keep', 'skip', 'next', 'previous'];
+
+/**
+ * How a rule handles a local time skipped by the clocks going forward
+ */
+const DST_NONEXISTENT_POLICIES = ['shift_forward', 'skip'];
+
+/**
+ * Which occurrence of a local time repeated by the clocks going back a rule uses
+ */
+const DST_AMBIGUOUS_POLICIES = ['first', 'second'];
+
+/**
+ * Valid day abbreviations for weekly, monthly and annual rules
+ */
+const VALID_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
 
 /**
  * Validate a complete schedule configuration
  * @param {Object} schedule - Schedule configuration to validate
- * @returns {Object} Validation result with valid flag and errors array
+ * @returns {Object} Validation result with valid flag, errors and warnings arrays
  */
 export function validateSchedule(schedule) {
   const errors = [];
+  const warnings = [];
 
   // Basic structure validation
   if (!schedule || typeof schedule !== 'object') {
-    return { valid: false, errors: ['Schedule must be an object'] };
+    return { valid: false, errors: ['Schedule must be an object'], warnings };
   }
 
   // Version validation
@@ -30,6 +89,13 @@ export function validateSchedule(schedule) {
     errors.push(`Invalid timezone: ${schedule.timezone}`);
   }
 
+  // Work week and holiday validation (optional)
+  const workWeekErrors = [
+    ...validateWorkWeek(schedule.work_week),
+    ...validateHolidays(schedule.holidays).map(error => `Holidays: ${error}`),
+  ];
+  errors.push(...workWeekErrors);
+
   // Rules validation
   if (!schedule.rules || !Array.isArray(schedule.rules)) {
     errors.push('Schedule must contain a rules array');
@@ -39,9 +105,24 @@ export function validateSchedule(schedule) {
     // Validate each rule
     schedule.rules.forEach((rule, index) => {
       const ruleErrors = validateRule(rule);
+      if (!schedule.holidays && usesHolidays(rule)) {
+        ruleErrors.push('Holiday rules and skip_holidays need a schedule-level holidays setting');
+      }
+
       ruleErrors.forEach(error => {
         errors.push(`Rule ${index + 1}: ${error}`);
       });
+
+      // Warnings need a rule that can be evaluated
+      const zone = rule?.tz || schedule.timezone;
+      if (ruleErrors.length === 0 && workWeekErrors.length === 0 && isValidTimezone(zone)) {
+        const calendar = createWorkCalendar(schedule);
+        [...getExceptionWarnings(rule, zone, calendar), ...getValidityWarnings(rule, zone)].forEach(
+          warning => {
+            warnings.push(`Rule ${index + 1}: ${warning}`);
+          },
+        );
+      }
     });
 
     // Check for duplicate rule IDs
@@ -63,9 +144,91 @@ export function validateSchedule(schedule) {
   return {
     valid: errors.length === 0,
     errors,
+    warnings,
   };
 }
 
+/**
+ * Validate the schedule's work week
+ * @param {Array} workWeek - Days that count as working days
+ * @returns {Array} Array of validation errors
+ */
+function validateWorkWeek(workWeek) {
+  if (workWeek === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(workWeek) || workWeek.length === 0) {
+    return ['work_week must be a non-empty array of days'];
+  }
+
+  const errors = [];
+
+  const invalidDays = workWeek.filter(day => !VALID_DAYS.includes(day));
+  if (invalidDays.length > 0) {
+    errors.push(
+      `Invalid work_week days: ${invalidDays.join(', ')}. Must be: ${VALID_DAYS.join(', ')}`,
+    );
+  }
+
+  if (new Set(workWeek).size !== workWeek.length) {
+    errors.push('work_week contains duplicate days');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the schedule's public holiday settings
+ * @param {Object} holidays - Holiday settings with country and optional region
+ * @returns {Array} Array of validation errors
+ */
+function validateHolidays(holidays) {
+  if (holidays === undefined) {
+    return [];
+  }
+
+  if (!holidays || typeof holidays !== 'object') {
+    return ['Must be an object with a country'];
+  }
+
+  const country = HOLIDAY_COUNTRIES[holidays.country];
+  if (!country) {
+    const supported = Object.keys(HOLIDAY_COUNTRIES).join(', ');
+    return [`Unsupported country: ${holidays.country}. Must be one of: ${supported}`];
+  }
+
+  if (holidays.region !== undefined && !country.regions[holidays.region]) {
+    const regions = Object.keys(country.regions);
+    return [
+      regions.length > 0
+        ? `Unsupported region for ${holidays.country}: ${holidays.region}. ` +
+          `Must be one of: ${regions.join(', ')}`
+        : `${holidays.country} does not have regions`,
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Check whether a rule depends on the schedule's holiday calendar
+ * @param {Object} rule - Rule or composite condition
+ * @returns {boolean} True if the rule is or contains a holiday rule, or skips holidays
+ */
+function usesHolidays(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return false;
+  }
+
+  if (rule.type === 'holiday' || rule.skip_holidays === true) {
+    return true;
+  }
+
+  const children = [rule.when, rule.not, rule.all, rule.any].flat();
+  return children.some(child => usesHolidays(child));
+}
+
 /**
  * Validate a single rule configuration
  * @param {Object} rule - Rule to validate
@@ -83,11 +246,21 @@ export function validateRule(rule) {
     errors.push('Rule ID must be a string');
   }
 
+  // Enabled flag validation (optional, rules are enabled by default)
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
   // Type validation
   if (!rule.type) {
     errors.push('Rule must specify a type');
-  } else if (!['weekly', 'every_n_days', 'dates'].includes(rule.type)) {
-    errors.push(`Invalid rule type: ${rule.type}. Must be 'weekly', 'every_n_days', or 'dates'`);
+  } else if (!RULE_TYPES.includes(rule.type)) {
+    errors.push(`Invalid rule type: ${rule.type}. Must be ${listTypes(RULE_TYPES)}`);
+  }
+
+  // Timezone validation (optional, defaults to the schedule timezone)
+  if (rule.tz !== undefined && (typeof rule.tz !== 'string' || !isValidTimezone(rule.tz))) {
+    errors.push(`Invalid rule timezone: ${rule.tz}`);
   }
 
   // Time validation (optional)
@@ -95,17 +268,79 @@ export function validateRule(rule) {
     errors.push(`Invalid time format: ${rule.time}. Must be HH:MM format`);
   }
 
-  // Status validation
-  if (!rule.status) {
+  // Active window validation (optional)
+  errors.push(...validateActiveWindow(rule));
+
+  // Exception validation (optional)
+  errors.push(...validateExceptions(rule));
+
+  // Validity period validation (optional)
+  errors.push(...validateValidity(rule));
+
+  // Non-working day policy validation (optional)
+  if (
+    rule.on_non_working_day !== undefined &&
+    !NON_WORKING_DAY_POLICIES.includes(rule.on_non_working_day)
+  ) {
+    errors.push(
+      `Invalid on_non_working_day: ${rule.on_non_working_day}. ` +
+        `Must be one of: ${NON_WORKING_DAY_POLICIES.join(', ')}`,
+    );
+  }
+
+  // DST policy validation (optional)
+  if (
+    rule.dst_nonexistent !== undefined &&
+    !DST_NONEXISTENT_POLICIES.includes(rule.dst_nonexistent)
+  ) {
+    errors.push(
+      `Invalid dst_nonexistent: ${rule.dst_nonexistent}. ` +
+        `Must be one of: ${DST_NONEXISTENT_POLICIES.join(', ')}`,
+    );
+  }
+
+  if (rule.dst_ambiguous !== undefined && !DST_AMBIGUOUS_POLICIES.includes(rule.dst_ambiguous)) {
+    errors.push(
+      `Invalid dst_ambiguous: ${rule.dst_ambiguous}. ` +
+        `Must be one of: ${DST_AMBIGUOUS_POLICIES.join(', ')}`,
+    );
+  }
+
+  // Holiday skipping validation (optional)
+  if (rule.skip_holidays !== undefined && typeof rule.skip_holidays !== 'boolean') {
+    errors.push('skip_holidays must be a boolean');
+  }
+
+  // Status validation (rules with slots or steps take their statuses from those)
+  if (rule.slots !== undefined) {
+    errors.push(...validateSlots(rule));
+  } else if (rule.type === 'sequence') {
+    if (rule.status !== undefined) {
+      errors.push('Sequence rule cannot specify a status; each step has its own');
+    }
+  } else if (!rule.status) {
     errors.push('Rule must specify a status');
   } else {
-    const statusErrors = validateStatus(rule.status);
+    const statusErrors = validateStatus(rule.status, rule.id);
     statusErrors.forEach(error => {
       errors.push(`Status: ${error}`);
     });
   }
 
   // Type-specific validation
+  errors.push(...validateRuleType(rule));
+
+  return errors;
+}
+
+/**
+ * Validate the properties specific to a rule's type
+ * @param {Object} rule - Rule or composite condition to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateRuleType(rule) {
+  const errors = [];
+
   switch (rule.type) {
     case 'weekly':
       errors.push(...validateWeeklyRule(rule));
@@ -116,11 +351,246 @@ export function validateRule(rule) {
     case 'dates':
       errors.push(...validateDateRule(rule));
       break;
+    case 'monthly':
+      errors.push(...validateMonthlyRule(rule));
+      break;
+    case 'annual':
+      errors.push(...validateAnnualRule(rule));
+      break;
+    case 'date_range':
+      errors.push(...validateDateRangeRule(rule));
+      break;
+    case 'cron':
+      errors.push(...validateCronRule(rule));
+      break;
+    case 'composite':
+      errors.push(...validateCompositeRule(rule));
+      break;
+    case 'sequence':
+      errors.push(...validateSequenceRule(rule));
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a rule's active window (duration_minutes or end_time)
+ * @param {Object} rule - Rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateActiveWindow(rule) {
+  const errors = [];
+
+  if (rule.duration_minutes !== undefined && rule.end_time !== undefined) {
+    errors.push('Rule cannot specify both duration_minutes and end_time');
+  }
+
+  if (rule.duration_minutes !== undefined) {
+    if (!Number.isInteger(rule.duration_minutes) || rule.duration_minutes < 1) {
+      errors.push('duration_minutes must be a positive integer');
+    }
+  }
+
+  if (rule.end_time !== undefined) {
+    if (!isValidTime(rule.end_time)) {
+      errors.push(`Invalid end_time format: ${rule.end_time}. Must be HH:MM format`);
+    } else if (isValidTime(rule.time) && toMinutes(rule.end_time) === toMinutes(rule.time)) {
+      errors.push('end_time must differ from time');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the time slots of a rule
+ * @param {Object} rule - Rule with a slots array
+ * @returns {Array} Array of validation errors
+ */
+function validateSlots(rule) {
+  if (!Array.isArray(rule.slots) || rule.slots.length === 0) {
+    return ['slots must be a non-empty array'];
+  }
+
+  const errors = [];
+  const sharedKeys = ['time', 'end_time', 'status'].filter(key => rule[key] !== undefined);
+
+  if (sharedKeys.length > 0) {
+    errors.push(`Rule with slots cannot also specify ${sharedKeys.join(', ')}`);
+  }
+  if (rule.type === 'cron') {
+    errors.push('Cron rules cannot use slots');
+  }
+  if (rule.first_day || rule.last_day) {
+    errors.push('Rule with slots cannot specify first_day or last_day');
+  }
+
+  const allowedKeys = ['time', 'end_time', 'duration_minutes', 'status'];
+  const times = new Set();
+
+  rule.slots.forEach((slot, index) => {
+    const prefix = `slots[${index}]`;
+
+    if (!slot || typeof slot !== 'object') {
+      errors.push(`${prefix}: Slot must be an object with time and status`);
+      return;
+    }
+
+    const unknownKeys = Object.keys(slot).filter(key => !allowedKeys.includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`${prefix}: Unknown properties: ${unknownKeys.join(', ')}`);
+    }
+
+    if (!isValidTime(slot.time)) {
+      errors.push(`${prefix}: Invalid time format: ${slot.time}. Must be HH:MM format`);
+    } else if (times.has(slot.time)) {
+      errors.push(`${prefix}: Duplicate slot time ${slot.time}`);
+    } else {
+      times.add(slot.time);
+    }
+
+    validateActiveWindow(slot).forEach(error => {
+      errors.push(`${prefix}: ${error}`);
+    });
+
+    if (!slot.status) {
+      errors.push(`${prefix}: Slot must specify a status`);
+    } else {
+      validateStatus(slot.status, rule.id).forEach(error => {
+        errors.push(`${prefix}: Status: ${error}`);
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a rule's except_dates and except_ranges
+ * @param {Object} rule - Rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateExceptions(rule) {
+  const errors = [];
+
+  if (rule.except_dates !== undefined) {
+    if (!Array.isArray(rule.except_dates)) {
+      errors.push('except_dates must be an array of dates');
+    } else {
+      const invalidDates = rule.except_dates.filter(date => !isValidISODate(date));
+      if (invalidDates.length > 0) {
+        errors.push(`Invalid except_dates formats: ${invalidDates.join(', ')}. Must be YYYY-MM-DD`);
+      }
+    }
+  }
+
+  if (rule.except_ranges !== undefined) {
+    if (!Array.isArray(rule.except_ranges)) {
+      errors.push('except_ranges must be an array of ranges');
+    } else {
+      rule.except_ranges.forEach((range, index) => {
+        const prefix = `except_ranges[${index}]`;
+
+        if (!range || typeof range !== 'object') {
+          errors.push(`${prefix}: Range must be an object with start and end`);
+          return;
+        }
+
+        if (!isValidISODate(range.start)) {
+          errors.push(`${prefix}: Invalid start format: ${range.start}. Must be YYYY-MM-DD`);
+        }
+        if (!isValidISODate(range.end)) {
+          errors.push(`${prefix}: Invalid end format: ${range.end}. Must be YYYY-MM-DD`);
+        }
+        if (isValidISODate(range.start) && isValidISODate(range.end) && range.end < range.start) {
+          errors.push(`${prefix}: Range end (${range.end}) is before start (${range.start})`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find exceptions that never apply because the rule would not run on those days
+ * @param {Object} rule - Valid rule to check
+ * @param {string} zone - Timezone the rule is evaluated in
+ * @param {Object} calendar - Work calendar of the schedule
+ * @returns {Array} Array of warnings
+ */
+function getExceptionWarnings(rule, zone, calendar) {
+  const warnings = [];
+  const toDate = date => DateTime.fromISO(date, { zone });
+
+  (rule.except_dates || []).forEach(date => {
+    if (!ruleMatchesDate(rule, toDate(date), calendar)) {
+      warnings.push(`except_dates: ${date} never applies, the rule does not run on that day`);
+    }
+  });
+
+  (rule.except_ranges || []).forEach((range, index) => {
+    const end = toDate(range.end);
+    let day = toDate(range.start);
+
+    while (day <= end && !ruleMatchesDate(rule, day, calendar)) {
+      day = day.plus({ days: 1 });
+    }
+
+    if (day > end) {
+      warnings.push(
+        `except_ranges[${index}]: ${range.start} to ${range.end} never applies, ` +
+          'the rule does not run on any of those days',
+      );
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Validate a rule's active_from and active_until
+ * @param {Object} rule - Rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateValidity(rule) {
+  const errors = [];
+
+  ['active_from', 'active_until'].forEach(key => {
+    if (rule[key] !== undefined && !isValidDateOrDateTime(rule[key])) {
+      errors.push(`Invalid ${key} format: ${rule[key]}. Must be YYYY-MM-DD or an ISO datetime`);
+    }
+  });
+
+  if (isValidDateOrDateTime(rule.active_from) && isValidDateOrDateTime(rule.active_until)) {
+    const { from, until } = getRuleValidity(rule, rule.tz || 'UTC');
+    if (until <= from) {
+      errors.push(
+        `active_until (${rule.active_until}) must be after active_from (${rule.active_from})`,
+      );
+    }
   }
 
   return errors;
 }
 
+/**
+ * Warn about rules whose active_until has already passed
+ * @param {Object} rule - Valid rule to check
+ * @param {string} zone - Timezone the rule is evaluated in
+ * @returns {Array} Array of warnings
+ */
+function getValidityWarnings(rule, zone) {
+  const { until } = getRuleValidity(rule, zone);
+
+  if (until && until <= DateTime.now()) {
+    return [`Rule has expired (active_until ${rule.active_until}) and will never match`];
+  }
+
+  return [];
+}
+
 /**
  * Validate weekly rule specific properties
  * @param {Object} rule - Weekly rule to validate
@@ -132,11 +602,10 @@ function validateWeeklyRule(rule) {
   if (!rule.days || !Array.isArray(rule.days)) {
     errors.push('Weekly rule must have a days array');
   } else {
-    const validDays = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
-    const invalidDays = rule.days.filter(day => !validDays.includes(day));
+    const invalidDays = rule.days.filter(day => !VALID_DAYS.includes(day));
 
     if (invalidDays.length > 0) {
-      errors.push(`Invalid days: ${invalidDays.join(', ')}. Must be: ${validDays.join(', ')}`);
+      errors.push(`Invalid days: ${invalidDays.join(', ')}. Must be: ${VALID_DAYS.join(', ')}`);
     }
 
     if (rule.days.length === 0) {
@@ -150,6 +619,19 @@ function validateWeeklyRule(rule) {
     }
   }
 
+  // week_interval and anchor_date validation
+  if (rule.week_interval !== undefined) {
+    if (!Number.isInteger(rule.week_interval) || rule.week_interval < 1) {
+      errors.push('week_interval must be a positive integer');
+    } else if (rule.week_interval > 1 && rule.anchor_date === undefined) {
+      errors.push('Weekly rule with week_interval must specify anchor_date');
+    }
+  }
+
+  if (rule.anchor_date !== undefined && !isValidISODate(rule.anchor_date)) {
+    errors.push(`Invalid anchor_date format: ${rule.anchor_date}. Must be YYYY-MM-DD`);
+  }
+
   // only_weekdays validation
   if (rule.only_weekdays !== undefined && typeof rule.only_weekdays !== 'boolean') {
     errors.push('only_weekdays must be a boolean');
@@ -172,12 +654,31 @@ function validateIntervalRule(rule) {
     errors.push(`Invalid start_date format: ${rule.start_date}. Must be YYYY-MM-DD`);
   }
 
-  if (rule.interval_days === undefined || rule.interval_days === null) {
-    errors.push('Interval rule must specify interval_days');
+  const hasIntervalDays = rule.interval_days !== undefined && rule.interval_days !== null;
+  const hasInterval = rule.interval !== undefined && rule.interval !== null;
+
+  if (hasIntervalDays && hasInterval) {
+    errors.push('Interval rule cannot specify both interval_days and interval');
+  } else if (hasInterval) {
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+      errors.push('interval must be a positive integer');
+    }
+  } else if (!hasIntervalDays) {
+    errors.push('Interval rule must specify interval_days or interval');
   } else if (!Number.isInteger(rule.interval_days) || rule.interval_days < 1) {
     errors.push('interval_days must be a positive integer');
   }
 
+  if (rule.interval_unit !== undefined) {
+    if (!INTERVAL_UNITS.includes(rule.interval_unit)) {
+      errors.push(
+        `Invalid interval_unit: ${rule.interval_unit}. Must be one of: ${INTERVAL_UNITS.join(', ')}`,
+      );
+    } else if (!hasInterval) {
+      errors.push('interval_unit can only be used together with interval');
+    }
+  }
+
   // only_weekdays validation
   if (rule.only_weekdays !== undefined && typeof rule.only_weekdays !== 'boolean') {
     errors.push('only_weekdays must be a boolean');
@@ -216,23 +717,361 @@ function validateDateRule(rule) {
   return errors;
 }
 
+/**
+ * Validate monthly rule specific properties
+ * @param {Object} rule - Monthly rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateMonthlyRule(rule) {
+  const errors = [];
+
+  const patterns = [
+    rule.day_of_month !== undefined,
+    rule.weekday !== undefined,
+    rule.last_business_day !== undefined,
+  ].filter(Boolean).length;
+
+  if (patterns === 0) {
+    errors.push('Monthly rule must specify day_of_month, weekday, or last_business_day');
+  } else if (patterns > 1) {
+    errors.push(
+      'Monthly rule must specify only one of day_of_month, weekday, or last_business_day',
+    );
+  }
+
+  if (rule.day_of_month !== undefined) {
+    if (!Number.isInteger(rule.day_of_month) || rule.day_of_month < 1 || rule.day_of_month > 31) {
+      errors.push('day_of_month must be an integer between 1 and 31');
+    }
+  }
+
+  if (rule.weekday !== undefined) {
+    if (!VALID_DAYS.includes(rule.weekday)) {
+      errors.push(`Invalid weekday: ${rule.weekday}. Must be: ${VALID_DAYS.join(', ')}`);
+    }
+
+    if (rule.week === undefined) {
+      errors.push('Monthly weekday rule must specify week');
+    } else if (!isValidWeekOfMonth(rule.week)) {
+      errors.push("week must be an integer between 1 and 5, or 'last'");
+    }
+  } else if (rule.week !== undefined) {
+    errors.push('week can only be used together with weekday');
+  }
+
+  if (rule.last_business_day !== undefined && rule.last_business_day !== true) {
+    errors.push('last_business_day must be true when specified');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate annual rule specific properties
+ * @param {Object} rule - Annual rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateAnnualRule(rule) {
+  const errors = [];
+
+  if (!rule.on || !Array.isArray(rule.on)) {
+    errors.push('Annual rule must have an on array');
+  } else if (rule.on.length === 0) {
+    errors.push('Annual rule must specify at least one date');
+  } else {
+    rule.on.forEach((entry, index) => {
+      validateAnnualEntry(entry).forEach(error => {
+        errors.push(`on[${index}]: ${error}`);
+      });
+    });
+  }
+
+  if (rule.span_days !== undefined && !isValidSpanDays(rule.span_days)) {
+    errors.push('span_days must be an integer between 1 and 366');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a single annual date entry ('MM-DD', { date } or { month, weekday, week })
+ * @param {string|Object} entry - Entry to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateAnnualEntry(entry) {
+  if (typeof entry === 'string') {
+    return isValidMonthDay(entry) ? [] : [`Invalid date format: ${entry}. Must be MM-DD`];
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    return ['Entry must be an MM-DD string or an object'];
+  }
+
+  const errors = [];
+
+  if (entry.date !== undefined) {
+    if (!isValidMonthDay(entry.date)) {
+      errors.push(`Invalid date format: ${entry.date}. Must be MM-DD`);
+    }
+    if (entry.month !== undefined || entry.weekday !== undefined || entry.week !== undefined) {
+      errors.push('Entry cannot combine date with month, weekday, or week');
+    }
+  } else {
+    if (!Number.isInteger(entry.month) || entry.month < 1 || entry.month > 12) {
+      errors.push('month must be an integer between 1 and 12');
+    }
+    if (!VALID_DAYS.includes(entry.weekday)) {
+      errors.push(`Invalid weekday: ${entry.weekday}. Must be: ${VALID_DAYS.join(', ')}`);
+    }
+    if (!isValidWeekOfMonth(entry.week)) {
+      errors.push("week must be an integer between 1 and 5, or 'last'");
+    }
+  }
+
+  if (entry.span_days !== undefined && !isValidSpanDays(entry.span_days)) {
+    errors.push('span_days must be an integer between 1 and 366');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate date range rule specific properties
+ * @param {Object} rule - Date range rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateDateRangeRule(rule) {
+  const errors = [];
+
+  if (!rule.start) {
+    errors.push('Date range rule must specify start');
+  } else if (!isValidISODate(rule.start)) {
+    errors.push(`Invalid start format: ${rule.start}. Must be YYYY-MM-DD`);
+  }
+
+  if (!rule.end) {
+    errors.push('Date range rule must specify end');
+  } else if (!isValidISODate(rule.end)) {
+    errors.push(`Invalid end format: ${rule.end}. Must be YYYY-MM-DD`);
+  }
+
+  if (isValidISODate(rule.start) && isValidISODate(rule.end) && rule.end < rule.start) {
+    errors.push(`Date range end (${rule.end}) is before start (${rule.start})`);
+  }
+
+  ['first_day', 'last_day'].forEach(key => {
+    if (rule[key] !== undefined) {
+      validateDayOverride(rule[key], rule.id).forEach(error => {
+        errors.push(`${key}: ${error}`);
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a first_day or last_day override of a date range rule
+ * @param {Object} override - Override to validate
+ * @param {string} [ruleId] - ID of the rule, for rendering status templates
+ * @returns {Array} Array of validation errors
+ */
+function validateDayOverride(override, ruleId) {
+  if (!override || typeof override !== 'object') {
+    return ['Must be an object'];
+  }
+
+  const errors = [];
+  const allowedKeys = ['time', 'end_time', 'duration_minutes', 'status'];
+  const unknownKeys = Object.keys(override).filter(key => !allowedKeys.includes(key));
+
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown properties: ${unknownKeys.join(', ')}`);
+  }
+
+  if (override.time !== undefined && !isValidTime(override.time)) {
+    errors.push(`Invalid time format: ${override.time}. Must be HH:MM format`);
+  }
+
+  errors.push(...validateActiveWindow(override));
+
+  if (override.status !== undefined) {
+    validateStatus(override.status, ruleId).forEach(error => {
+      errors.push(`Status: ${error}`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate cron rule specific properties
+ * @param {Object} rule - Cron rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateCronRule(rule) {
+  const errors = [];
+
+  if (!rule.expression) {
+    errors.push('Cron rule must specify an expression');
+  } else {
+    try {
+      parseCronExpression(rule.expression);
+    } catch (error) {
+      errors.push(`Invalid cron expression: ${error.message}`);
+    }
+  }
+
+  if (rule.time !== undefined) {
+    errors.push('Cron rule cannot specify time; the expression sets when it fires');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate composite rule specific properties
+ * @param {Object} rule - Composite rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateCompositeRule(rule) {
+  if (rule.when === undefined) {
+    return ['Composite rule must specify a when condition'];
+  }
+
+  return validateCondition(rule.when, 'when');
+}
+
+/**
+ * Validate sequence rule specific properties
+ * @param {Object} rule - Sequence rule to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateSequenceRule(rule) {
+  const errors = [];
+
+  if (rule.duration_minutes !== undefined || rule.end_time !== undefined) {
+    errors.push('Sequence rule cannot specify duration_minutes or end_time; steps set the length');
+  }
+  if (rule.slots !== undefined) {
+    errors.push('Sequence rules cannot use slots');
+  }
+
+  if (rule.when !== undefined) {
+    errors.push(...validateCondition(rule.when, 'when'));
+  }
+
+  if (!Array.isArray(rule.steps) || rule.steps.length === 0) {
+    errors.push('Sequence rule must specify a non-empty steps array');
+    return errors;
+  }
+
+  rule.steps.forEach((step, index) => {
+    const prefix = `steps[${index}]`;
+
+    if (!step || typeof step !== 'object') {
+      errors.push(`${prefix}: Step must be an object with duration_minutes and status`);
+      return;
+    }
+
+    const unknownKeys = Object.keys(step).filter(
+      key => !['duration_minutes', 'status'].includes(key),
+    );
+    if (unknownKeys.length > 0) {
+      errors.push(`${prefix}: Unknown properties: ${unknownKeys.join(', ')}`);
+    }
+
+    if (!Number.isInteger(step.duration_minutes) || step.duration_minutes < 1) {
+      errors.push(`${prefix}: duration_minutes must be a positive integer`);
+    }
+
+    if (!step.status) {
+      errors.push(`${prefix}: Step must specify a status`);
+    } else {
+      validateStatus(step.status, rule.id).forEach(error => {
+        errors.push(`${prefix}: Status: ${error}`);
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a node of a composite rule's when tree
+ * A node is either a combinator ({ all: [...] }, { any: [...] }, { not: {...} })
+ * or a condition using the properties of another rule type
+ * @param {Object} condition - Node to validate
+ * @param {string} path - Location of the node in the tree, used to prefix errors
+ * @returns {Array} Array of validation errors
+ */
+function validateCondition(condition, path) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${path}: Condition must be an object`];
+  }
+
+  const combinators = COMBINATORS.filter(key => condition[key] !== undefined);
+  if (combinators.length + (condition.type !== undefined ? 1 : 0) !== 1) {
+    return [`${path}: Condition must specify exactly one of all, any, not or type`];
+  }
+
+  const [combinator] = combinators;
+  if (combinator === 'not') {
+    return validateCondition(condition.not, `${path}.not`);
+  }
+
+  if (combinator) {
+    const children = condition[combinator];
+    if (!Array.isArray(children) || children.length === 0) {
+      return [`${path}.${combinator}: Must be a non-empty array of conditions`];
+    }
+
+    return children.flatMap((child, index) =>
+      validateCondition(child, `${path}.${combinator}[${index}]`),
+    );
+  }
+
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    return [
+      `${path}: Invalid condition type: ${condition.type}. Must be ${listTypes(CONDITION_TYPES)}`,
+    ];
+  }
+
+  return validateRuleType(condition).map(error => `${path}: ${error}`);
+}
+
 /**
  * Validate status configuration
+ * Template text is checked for syntax and against the length limit with the
+ * longest values its variables can render
  * @param {Object} status - Status to validate
+ * @param {string} [ruleId] - ID of the rule, for rendering status templates
  * @returns {Array} Array of validation errors
  */
-function validateStatus(status) {
+function validateStatus(status, ruleId) {
   const errors = [];
 
   if (!status || typeof status !== 'object') {
     return ['Status must be an object'];
   }
 
+  if (status.pool !== undefined) {
+    return validateStatusPool(status, ruleId);
+  }
+
   // Text validation
   if (!status.text) {
     errors.push('Status must specify text');
   } else if (typeof status.text !== 'string') {
     errors.push('Status text must be a string');
+  } else if (isTemplate(status.text)) {
+    try {
+      if (renderTemplateSample(status.text, ruleId).length > 100) {
+        errors.push('Status text must be 100 characters or less once rendered');
+      }
+    } catch (error) {
+      errors.push(`Invalid status template: ${error.message}`);
+    }
   } else if (status.text.length > 100) {
     errors.push('Status text must be 100 characters or less');
   }
@@ -263,6 +1102,51 @@ function validateStatus(status) {
   return errors;
 }
 
+/**
+ * Validate a status that picks from a pool of variants
+ * Each variant, combined with the pool's shared properties, must be a valid status
+ * @param {Object} status - Status with a pool array
+ * @param {string} [ruleId] - ID of the rule, for rendering status templates
+ * @returns {Array} Array of validation errors
+ */
+function validateStatusPool(status, ruleId) {
+  if (!Array.isArray(status.pool) || status.pool.length === 0) {
+    return ['pool must be a non-empty array of status variants'];
+  }
+
+  const errors = [];
+
+  if (status.pick !== undefined && !POOL_PICKS.includes(status.pick)) {
+    errors.push(`Invalid pick: ${status.pick}. Must be one of: ${POOL_PICKS.join(', ')}`);
+  }
+
+  if (status.seed !== undefined && typeof status.seed !== 'string') {
+    errors.push('seed must be a string');
+  }
+
+  const variants = getStatusVariants(status);
+
+  status.pool.forEach((variant, index) => {
+    if (!variant || typeof variant !== 'object') {
+      errors.push(`pool[${index}]: Variant must be an object`);
+      return;
+    }
+
+    if (
+      variant.weight !== undefined &&
+      (typeof variant.weight !== 'number' || !(variant.weight > 0))
+    ) {
+      errors.push(`pool[${index}]: weight must be a positive number`);
+    }
+
+    validateStatus(variants[index], ruleId).forEach(error => {
+      errors.push(`pool[${index}]: ${error}`);
+    });
+  });
+
+  return errors;
+}
+
 /**
  * Validate options configuration
  * @param {Object} options - Options to validate
@@ -283,6 +1167,42 @@ function validateOptions(options) {
     errors.push('clear_when_no_match must be a boolean');
   }
 
+  // clear_on_manual_change validation
+  if (
+    options.clear_on_manual_change !== undefined &&
+    typeof options.clear_on_manual_change !== 'boolean'
+  ) {
+    errors.push('clear_on_manual_change must be a boolean');
+  }
+
+  // manual_change_timeout_minutes validation
+  if (options.manual_change_timeout_minutes !== undefined) {
+    if (
+      !Number.isInteger(options.manual_change_timeout_minutes) ||
+      options.manual_change_timeout_minutes < 1
+    ) {
+      errors.push('manual_change_timeout_minutes must be a positive integer');
+    }
+  }
+
+  // default_status_on_clear validation
+  if (options.default_status_on_clear !== undefined) {
+    validateDefaultStatus(options.default_status_on_clear).forEach(error => {
+      errors.push(`default_status_on_clear: ${error}`);
+    });
+  }
+
+  // match_strategy validation
+  if (options.match_strategy !== undefined) {
+    const validStrategies = ['first_match', 'latest_start'];
+    if (!validStrategies.includes(options.match_strategy)) {
+      errors.push(
+        `Invalid match_strategy: ${options.match_strategy}. Must be one of: ` +
+          `${validStrategies.join(', ')}`,
+      );
+    }
+  }
+
   // log_level validation
   if (options.log_level !== undefined) {
     const validLogLevels = ['error', 'warn', 'info', 'debug'];
@@ -311,6 +1231,84 @@ function validateOptions(options) {
   return errors;
 }
 
+/**
+ * Validate the default status applied when no rule matches
+ * Empty text and emoji clear the status, so only active_hours is checked then
+ * @param {Object} defaultStatus - Default status to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateDefaultStatus(defaultStatus) {
+  if (!defaultStatus || typeof defaultStatus !== 'object' || Array.isArray(defaultStatus)) {
+    return ['Must be an object'];
+  }
+
+  const errors = [];
+  const status = { ...defaultStatus };
+  delete status.active_hours;
+
+  if (!isClearingStatus(status)) {
+    errors.push(...validateStatus(status));
+  }
+
+  if (defaultStatus.active_hours !== undefined) {
+    errors.push(...validateActiveHours(defaultStatus.active_hours));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the active hours of a default status
+ * @param {Object} activeHours - Active hours to validate
+ * @returns {Array} Array of validation errors
+ */
+function validateActiveHours(activeHours) {
+  if (!activeHours || typeof activeHours !== 'object' || Array.isArray(activeHours)) {
+    return ['active_hours must be an object with start and end times'];
+  }
+
+  const errors = [];
+
+  ['start', 'end'].forEach(key => {
+    if (!isValidTime(activeHours[key])) {
+      errors.push(`Invalid active_hours ${key}: ${activeHours[key]}. Must be HH:MM format`);
+    }
+  });
+
+  if (
+    isValidTime(activeHours.start) &&
+    isValidTime(activeHours.end) &&
+    toMinutes(activeHours.start) === toMinutes(activeHours.end)
+  ) {
+    errors.push('active_hours end must differ from start');
+  }
+
+  if (activeHours.days !== undefined) {
+    if (!Array.isArray(activeHours.days) || activeHours.days.length === 0) {
+      errors.push('active_hours days must be a non-empty array');
+    } else {
+      const invalidDays = activeHours.days.filter(day => !VALID_DAYS.includes(day));
+      if (invalidDays.length > 0) {
+        errors.push(
+          `Invalid active_hours days: ${invalidDays.join(', ')}. Must be: ${VALID_DAYS.join(', ')}`,
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format rule types as a list for error messages
+ * @param {Array<string>} types - Rule types
+ * @returns {string} List such as "'weekly', 'dates', or 'cron'"
+ */
+function listTypes(types) {
+  const quoted = types.map(type => `'${type}'`);
+  return `${quoted.slice(0, -1).join(', ')}, or ${quoted[quoted.length - 1]}`;
+}
+
 /**
  * Check if a timezone is valid
  * @param {string} timezone - Timezone to check
@@ -337,6 +1335,46 @@ function isValidTime(time) {
   return timeRegex.test(time);
 }
 
+/**
+ * Check if a week of the month is valid (1-5 or 'last')
+ * @param {number|string} week - Week to check
+ * @returns {boolean} True if valid
+ */
+function isValidWeekOfMonth(week) {
+  return week === 'last' || (Number.isInteger(week) && week >= 1 && week <= 5);
+}
+
+/**
+ * Check if a span of days is valid (1-366)
+ * @param {number} spanDays - Span to check
+ * @returns {boolean} True if valid
+ */
+function isValidSpanDays(spanDays) {
+  return Number.isInteger(spanDays) && spanDays >= 1 && spanDays <= 366;
+}
+
+/**
+ * Check if a month-day string is valid (MM-DD format, February 29 allowed)
+ * @param {string} monthDay - Month-day string to check
+ * @returns {boolean} True if valid
+ */
+function isValidMonthDay(monthDay) {
+  if (typeof monthDay !== 'string' || !/^\d{2}-\d{2}$/.test(monthDay)) return false;
+
+  // Check against a leap year so that 02-29 is accepted
+  return isValidISODate(`2024-${monthDay}`);
+}
+
+/**
+ * Convert a valid HH:MM time string to minutes since midnight
+ * @param {string} time - Time string to convert
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
 /**
  * Check if an ISO date string is valid (YYYY-MM-DD format)
  * @param {string} date - Date string to check
@@ -353,6 +1391,19 @@ function isValidISODate(date) {
   return parsed.isValid && parsed.toISODate() === date;
 }
 
+/**
+ * Check if a string is a valid ISO date or datetime
+ * Datetimes without an offset are read in the rule's timezone
+ * @param {string} value - Date or datetime string to check
+ * @returns {boolean} True if valid
+ */
+function isValidDateOrDateTime(value) {
+  if (typeof value !== 'string') return false;
+  if (isValidISODate(value)) return true;
+
+  return /^\d{4}-\d{2}-\d{2}T/.test(value) && DateTime.fromISO(value).isValid;
+}
+
 /**
  * Check if an emoji string is valid (Unicode emoji or :emoji_name: format)
  * @param {string} emoji - Emoji string to check
@@ -399,8 +1450,18 @@ export function quickValidate(schedule) {
     if (schedule.rules) {
       schedule.rules.forEach((rule, index) => {
         if (!rule.type) criticalErrors.push(`Rule ${index + 1}: Missing type`);
-        if (!rule.status?.text) criticalErrors.push(`Rule ${index + 1}: Missing status text`);
-        if (!rule.status?.emoji) criticalErrors.push(`Rule ${index + 1}: Missing status emoji`);
+
+        // Slots, steps and pool variants each carry a status of their own
+        const parts = Array.isArray(rule.slots) ? rule.slots : rule.steps;
+        const statuses = (
+          Array.isArray(parts) ? parts.map(part => part?.status) : [rule.status]
+        ).flatMap(status => getStatusVariants(status));
+        if (statuses.some(status => !status?.text)) {
+          criticalErrors.push(`Rule ${index + 1}: Missing status text`);
+        }
+        if (statuses.some(status => !status?.emoji)) {
+          criticalErrors.push(`Rule ${index + 1}: Missing status emoji`);
+        }
       });
     }
   }
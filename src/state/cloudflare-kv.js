@@ -0,0 +1,37 @@
+/**
+ * Cloudflare KV state store
+ * Keeps the last applied status in a Workers KV namespace, for schedules run
+ * from a Cloudflare Worker cron trigger
+ */
+
+/**
+ * Create a state store backed by a Workers KV namespace
+ * @param {Object} namespace - KV namespace binding, such as env.SCHEDULER_STATE
+ * @param {string} key - Key the state is stored under
+ * @returns {Object} State store with get and set methods
+ */
+export function createKVStateStore(namespace, key = 'last-applied') {
+  if (!namespace) {
+    throw new Error('KV namespace binding is required');
+  }
+
+  return {
+    persistent: true,
+
+    /**
+     * Get the last applied state
+     * @returns {Promise<Object|null>} Stored state, or null if the key does not exist
+     */
+    async get() {
+      return await namespace.get(key, 'json');
+    },
+
+    /**
+     * Record the last applied state
+     * @param {Object} state - State to store
+     */
+    async set(state) {
+      await namespace.put(key, JSON.stringify(state));
+    },
+  };
+}
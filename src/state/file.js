@@ -0,0 +1,52 @@
+/**
+ * File state store
+ * Keeps the last applied status in a JSON file, so one-shot runs from cron or
+ * CI can tell whether the status they are about to set is already set
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Create a state store backed by a JSON file
+ * @param {string} path - Path to the state file; created on first write
+ * @returns {Object} State store with get and set methods
+ */
+export function createFileStateStore(path) {
+  if (!path) {
+    throw new Error('State file path is required');
+  }
+
+  return {
+    persistent: true,
+
+    /**
+     * Get the last applied state
+     * @returns {Promise<Object|null>} Stored state, or null if the file does not exist
+     */
+    async get() {
+      try {
+        return JSON.parse(await readFile(path, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw new Error(`Failed to read state file ${path}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Record the last applied state
+     * Writes to a temporary file first so an interrupted write never leaves
+     * a half-written state file behind
+     * @param {Object} state - State to store
+     */
+    async set(state) {
+      const temporaryPath = `${path}.tmp`;
+
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(temporaryPath, JSON.stringify(state, null, 2));
+      await rename(temporaryPath, path);
+    },
+  };
+}
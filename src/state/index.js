@@ -0,0 +1,44 @@
+/**
+ * State stores remember the last status a run applied, so that later runs
+ * can skip updates that would not change anything
+ *
+ * A state store is any object with two async methods:
+ * - get(): the last applied state, or null if nothing was applied yet
+ * - set(state): record the applied state
+ * Stores that lose their state when the process exits set persistent to false.
+ *
+ * State has the shape:
+ * { action, rule, status: { text, emoji }, expiration, appliedAt, profile, manual }
+ * where action is 'update_status' or 'clear_status', and manual is set while
+ * the scheduler backs off from a status the user set by hand:
+ * { status: { text, emoji }, detectedAt, until }
+ * and profile is the status as Slack reported it after the update.
+ */
+
+export { createMemoryStateStore } from './memory.js';
+export { createFileStateStore } from './file.js';
+export { createKVStateStore } from './cloudflare-kv.js';
+
+/**
+ * Check whether a stored state already matches the state a run would apply
+ * @param {Object|null} stored - Last applied state
+ * @param {Object} next - State the run would apply
+ * @returns {boolean} True if applying next would not change anything
+ */
+export function isAlreadyApplied(stored, next) {
+  // After backing off from a manual change, the status has to be set again
+  if (!stored || stored.manual || stored.action !== next.action) {
+    return false;
+  }
+
+  if (next.action === 'clear_status') {
+    return true;
+  }
+
+  return (
+    stored.rule === next.rule &&
+    stored.status?.text === next.status.text &&
+    stored.status?.emoji === next.status.emoji &&
+    stored.expiration === next.expiration
+  );
+}
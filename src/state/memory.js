@@ -0,0 +1,35 @@
+/**
+ * In-memory state store
+ * Remembers the last applied status for as long as the process runs, which
+ * is enough for the daemon and for tests
+ */
+
+/**
+ * Create a state store that keeps state in memory
+ * @param {Object|null} initialState - State to start with
+ * @returns {Object} State store with get and set methods
+ */
+export function createMemoryStateStore(initialState = null) {
+  let state = initialState ? structuredClone(initialState) : null;
+
+  return {
+    // Forgotten when the process exits
+    persistent: false,
+
+    /**
+     * Get the last applied state
+     * @returns {Promise<Object|null>} Stored state, or null if nothing was applied yet
+     */
+    async get() {
+      return state ? structuredClone(state) : null;
+    },
+
+    /**
+     * Record the last applied state
+     * @param {Object} nextState - State to store
+     */
+    async set(nextState) {
+      state = structuredClone(nextState);
+    },
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Tests for the cron expression parser
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { DateTime } from 'luxon';
+import { parseCronExpression, cronMatchesDay, CronExpressionError } from '../src/scheduler/cron.js';
+
+describe('Cron Expressions', () => {
+  const day = iso => DateTime.fromISO(iso, { zone: 'UTC' });
+
+  describe('parseCronExpression', () => {
+    test('should parse minute and hour fields', () => {
+      const cron = parseCronExpression('*/15 13 * * *');
+
+      expect(cron.minutes).toEqual([0, 15, 30, 45]);
+      expect(cron.hours).toEqual([13]);
+    });
+
+    test('should parse lists, ranges and stepped ranges', () => {
+      const cron = parseCronExpression('0,30 9-17/4 * * *');
+
+      expect(cron.minutes).toEqual([0, 30]);
+      expect(cron.hours).toEqual([9, 13, 17]);
+    });
+
+    test('should expand macros', () => {
+      const cron = parseCronExpression('@daily');
+
+      expect(cron.minutes).toEqual([0]);
+      expect(cron.hours).toEqual([0]);
+    });
+
+    test('should reject malformed expressions', () => {
+      expect(() => parseCronExpression('* * * *')).toThrow(CronExpressionError);
+      expect(() => parseCronExpression('60 * * * *')).toThrow(
+        'Invalid minute value: 60. Must be between 0 and 59',
+      );
+      expect(() => parseCronExpression('0 17-9 * * *')).toThrow(
+        'Invalid range in hour field: 17-9',
+      );
+      expect(() => parseCronExpression('*/0 * * * *')).toThrow('Invalid step in minute field');
+      expect(() => parseCronExpression('0 0 * * mon#6')).toThrow(
+        'Invalid week in day of week field: mon#6',
+      );
+      expect(() => parseCronExpression('@fortnightly')).toThrow('Unknown cron macro');
+    });
+  });
+
+  describe('cronMatchesDay', () => {
+    test('should match days of week by number and name', () => {
+      const weekdays = parseCronExpression('0 9 * * mon-fri');
+      const sunday = parseCronExpression('0 9 * * 7');
+
+      expect(cronMatchesDay(weekdays, day('2024-01-08'))).toBe(true);
+      expect(cronMatchesDay(weekdays, day('2024-01-07'))).toBe(false);
+      expect(cronMatchesDay(sunday, day('2024-01-07'))).toBe(true);
+    });
+
+    test('should match either day field when both are restricted', () => {
+      const cron = parseCronExpression('0 9 1 * fri');
+
+      expect(cronMatchesDay(cron, day('2024-02-01'))).toBe(true);
+      expect(cronMatchesDay(cron, day('2024-02-02'))).toBe(true);
+      expect(cronMatchesDay(cron, day('2024-02-03'))).toBe(false);
+    });
+
+    test('should match the first working day with 1W', () => {
+      const cron = parseCronExpression('*/15 13 1W * *');
+
+      // June 1, 2024 is a Saturday
+      expect(cronMatchesDay(cron, day('2024-06-03'))).toBe(true);
+      expect(cronMatchesDay(cron, day('2024-06-01'))).toBe(false);
+      expect(cronMatchesDay(cron, day('2024-07-01'))).toBe(true);
+    });
+
+    test('should match last day and last weekday of the month', () => {
+      expect(cronMatchesDay(parseCronExpression('0 17 L * *'), day('2024-02-29'))).toBe(true);
+      // August 31, 2024 is a Saturday
+      expect(cronMatchesDay(parseCronExpression('0 17 LW * *'), day('2024-08-30'))).toBe(true);
+      expect(cronMatchesDay(parseCronExpression('0 17 * * 5L'), day('2024-05-31'))).toBe(true);
+    });
+
+    test('should match the nth weekday with #', () => {
+      const cron = parseCronExpression('0 10 * * tue#2');
+
+      expect(cronMatchesDay(cron, day('2024-01-09'))).toBe(true);
+      expect(cronMatchesDay(cron, day('2024-01-16'))).toBe(false);
+    });
+
+    test('should respect the month field', () => {
+      const cron = parseCronExpression('0 9 * jun-aug *');
+
+      expect(cronMatchesDay(cron, day('2024-07-15'))).toBe(true);
+      expect(cronMatchesDay(cron, day('2024-09-15'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for the scheduler daemon
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SlackStatusScheduler } from '../src/index.js';
+
+describe('Scheduler Daemon', () => {
+  const schedule = {
+    version: 1,
+    timezone: 'America/Los_Angeles',
+    rules: [
+      {
+        id: 'focus',
+        type: 'weekly',
+        days: ['mon'],
+        time: '09:00',
+        end_time: '12:00',
+        status: { text: 'Focus time', emoji: ':brain:' },
+      },
+    ],
+  };
+
+  const minutes = count => count * 60 * 1000;
+  let scheduler;
+  let logger;
+
+  beforeEach(async () => {
+    // Monday 08:00 in Los Angeles
+    jest.useFakeTimers({ now: new Date('2024-01-08T16:00:00Z') });
+
+    logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    scheduler = new SlackStatusScheduler({ dryRun: true, logger });
+    await scheduler.initialize(schedule);
+    jest.spyOn(scheduler, 'run');
+  });
+
+  afterEach(async () => {
+    await scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  test('should run straight away and again at each change', async () => {
+    const running = scheduler.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(scheduler.run).toHaveBeenCalledTimes(1);
+
+    // Focus time starts at 09:00 and ends at 12:00
+    await jest.advanceTimersByTimeAsync(minutes(59));
+    expect(scheduler.run).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(minutes(1));
+    expect(scheduler.run).toHaveBeenCalledTimes(2);
+    expect((await scheduler.run.mock.results[1].value).rule).toBe('focus');
+
+    await jest.advanceTimersByTimeAsync(minutes(180));
+    expect(scheduler.run).toHaveBeenCalledTimes(3);
+
+    await scheduler.stop();
+    await expect(running).resolves.toBeUndefined();
+  });
+
+  test('should re-evaluate after a clock jump', async () => {
+    scheduler.start();
+    await jest.advanceTimersByTimeAsync(0);
+
+    // The machine sleeps for half an hour in the middle of a five minute sleep
+    jest.setSystemTime(Date.now() + minutes(30));
+    await jest.advanceTimersByTimeAsync(minutes(5));
+
+    expect(scheduler.run).toHaveBeenCalledTimes(2);
+    expect(logger.warn).toHaveBeenCalledWith('Clock jump detected, re-evaluating schedule', {
+      driftMs: minutes(30),
+    });
+  });
+
+  test('should retry a failed run', async () => {
+    scheduler.run.mockRejectedValueOnce(new Error('Slack is down'));
+
+    scheduler.start({ retryDelayMs: minutes(2) });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(logger.error).toHaveBeenCalledWith('Scheduled run failed', {
+      error: 'Slack is down',
+      retryDelayMs: minutes(2),
+    });
+
+    await jest.advanceTimersByTimeAsync(minutes(2));
+    expect(scheduler.run).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not start twice', async () => {
+    scheduler.start();
+    await expect(scheduler.start()).rejects.toThrow('Scheduler is already running');
+  });
+
+  describe('reload', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'slack-status-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    test('should reload the schedule file and re-evaluate', async () => {
+      const path = join(directory, 'schedule.json');
+      await writeFile(path, JSON.stringify(schedule));
+      await scheduler.initialize(path);
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      const earlier = { ...schedule.rules[0], time: '07:00' };
+      await writeFile(path, JSON.stringify({ ...schedule, rules: [earlier] }));
+      await expect(scheduler.reload()).resolves.toBe(true);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(scheduler.run).toHaveBeenCalledTimes(2);
+      expect((await scheduler.run.mock.results[1].value).rule).toBe('focus');
+    });
+
+    test('should keep the current schedule when the new one is invalid', async () => {
+      const path = join(directory, 'schedule.json');
+      await writeFile(path, JSON.stringify(schedule));
+      await scheduler.initialize(path);
+
+      await writeFile(path, JSON.stringify({ ...schedule, rules: [{ type: 'weekly' }] }));
+      await expect(scheduler.reload()).resolves.toBe(false);
+      expect(scheduler.schedule.rules[0].id).toBe('focus');
+    });
+
+    test('should only reload schedules loaded from a file', async () => {
+      await expect(scheduler.reload()).rejects.toThrow(
+        'Only schedules loaded from a file can be reloaded',
+      );
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for the default status applied when no rule matches
+ */
+
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { DateTime } from 'luxon';
+import {
+  getDefaultStatusWindow,
+  getNextDefaultStatusChange,
+  isClearingStatus,
+} from '../src/scheduler/default-status.js';
+import { SlackStatusScheduler } from '../src/index.js';
+
+describe('Default Status', () => {
+  const at = iso => DateTime.fromISO(iso, { zone: 'America/Los_Angeles' });
+  const available = {
+    text: 'Available',
+    emoji: '✅',
+    active_hours: { start: '09:00', end: '17:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] },
+  };
+
+  describe('getDefaultStatusWindow', () => {
+    test('should find the active hours containing a time', () => {
+      const window = getDefaultStatusWindow(available, at('2024-01-08T10:30'));
+
+      expect(window.start.toISO()).toBe('2024-01-08T09:00:00.000-08:00');
+      expect(window.end.toISO()).toBe('2024-01-08T17:00:00.000-08:00');
+      expect(getDefaultStatusWindow(available, at('2024-01-08T17:00'))).toBeNull();
+      expect(getDefaultStatusWindow(available, at('2024-01-13T10:30'))).toBeNull();
+    });
+
+    test('should handle active hours past midnight', () => {
+      const overnight = { ...available, active_hours: { start: '22:00', end: '06:00' } };
+
+      expect(getDefaultStatusWindow(overnight, at('2024-01-09T02:00')).start.toISO()).toBe(
+        '2024-01-08T22:00:00.000-08:00',
+      );
+      expect(getDefaultStatusWindow(overnight, at('2024-01-09T12:00'))).toBeNull();
+    });
+
+    test('should always be active without active hours', () => {
+      expect(
+        getDefaultStatusWindow({ text: 'Available', emoji: '✅' }, at('2024-01-13T03:00')),
+      ).toEqual({ start: null, end: null });
+    });
+  });
+
+  describe('getNextDefaultStatusChange', () => {
+    test('should find the next start or end of active hours', () => {
+      const friday = at('2024-01-12T18:00');
+
+      expect(getNextDefaultStatusChange(available, friday, friday.plus({ days: 7 })).toISO()).toBe(
+        '2024-01-15T09:00:00.000-08:00',
+      );
+      expect(getNextDefaultStatusChange(available, friday, friday.plus({ days: 1 }))).toBeNull();
+    });
+  });
+
+  describe('isClearingStatus', () => {
+    test('should treat empty text and emoji as clearing', () => {
+      expect(isClearingStatus({ text: '', emoji: '' })).toBe(true);
+      expect(isClearingStatus({ active_hours: available.active_hours })).toBe(true);
+      expect(isClearingStatus(available)).toBe(false);
+    });
+  });
+
+  describe('SlackStatusScheduler', () => {
+    const schedule = {
+      version: 1,
+      timezone: 'America/Los_Angeles',
+      rules: [
+        {
+          id: 'focus',
+          type: 'weekly',
+          days: ['mon'],
+          time: '09:00',
+          end_time: '12:00',
+          status: { text: 'Focus time', emoji: ':brain:' },
+        },
+      ],
+      options: { default_status_on_clear: available },
+    };
+    let scheduler;
+
+    beforeEach(async () => {
+      scheduler = new SlackStatusScheduler({ dryRun: true, logLevel: 'error' });
+      await scheduler.initialize(structuredClone(schedule));
+    });
+
+    test('should apply the default status during its active hours', async () => {
+      const result = await scheduler.preview(at('2024-01-08T14:00'));
+
+      expect(result).toMatchObject({
+        action: 'update_status',
+        rule: null,
+        default: true,
+        status: { text: 'Available', emoji: '✅' },
+        expiration: '2024-01-08T17:00:00.000-08:00',
+      });
+    });
+
+    test('should let matching rules win', async () => {
+      expect((await scheduler.preview(at('2024-01-08T10:00'))).rule).toBe('focus');
+    });
+
+    test('should fall back to the usual behaviour outside active hours', async () => {
+      expect((await scheduler.preview(at('2024-01-08T20:00'))).action).toBe('no_change');
+
+      scheduler.schedule.options.clear_when_no_match = true;
+      expect((await scheduler.preview(at('2024-01-08T20:00'))).action).toBe('clear_status');
+    });
+
+    test('should use its own expiration', async () => {
+      scheduler.schedule.options.default_status_on_clear = { ...available, expire_hour: 15 };
+
+      const result = await scheduler.preview(at('2024-01-08T14:00'));
+      expect(result.expiration).toBe('2024-01-08T15:00:00.000-08:00');
+    });
+
+    test('should clear the status when text and emoji are empty', async () => {
+      scheduler.schedule.options.default_status_on_clear = { text: '', emoji: '' };
+
+      const result = await scheduler.preview(at('2024-01-08T20:00'));
+      expect(result).toMatchObject({ action: 'clear_status', default: true });
+    });
+
+    test('should skip the default status once it is applied', async () => {
+      scheduler.dryRun = false;
+      scheduler.slackClient = { updateStatus: jest.fn(), clearStatus: jest.fn() };
+
+      expect((await scheduler.run(at('2024-01-08T14:00'))).action).toBe('update_status');
+      expect((await scheduler.run(at('2024-01-08T15:00'))).action).toBe('unchanged');
+      expect(scheduler.slackClient.updateStatus).toHaveBeenCalledTimes(1);
+    });
+  });
+});
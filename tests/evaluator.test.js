@@ -2,12 +2,13 @@
  * Tests for the schedule evaluator
  */
 
-import { describe, test, expect } from '@jest/globals';
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
 import { DateTime } from 'luxon';
 import {
   createScheduleEvaluator,
   getNextExecutionDescription,
 } from '../src/scheduler/evaluator.js';
+import { createWorkCalendar } from '../src/scheduler/calendar.js';
 
 describe('Schedule Evaluator', () => {
   const timezone = 'America/Los_Angeles';
@@ -92,170 +93,1304 @@ describe('Schedule Evaluator', () => {
       expect(rule).not.toBeNull();
       expect(rule.id).toBe('weekday-work');
     });
+
+    test('should only match on weeks of the week_interval cadence', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['mon', 'wed'],
+        week_interval: 2,
+        anchor_date: '2024-01-10', // Wednesday of an on-cadence week
+        status: { text: 'Sprint', emoji: ':runner:' },
+      };
+      const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+      expect(evaluator.ruleMatches(rule, at('2024-01-08T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-01-10T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-01-15T10:00:00'))).toBe(false);
+      expect(evaluator.ruleMatches(rule, at('2024-01-22T10:00:00'))).toBe(true);
+      // Weeks before the anchor follow the same cadence, across the DST change
+      expect(evaluator.ruleMatches(rule, at('2023-12-27T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-03-18T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-03-11T10:00:00'))).toBe(false);
+    });
+  });
+
+  describe('Interval Rules', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'every-3-days',
+          type: 'every_n_days',
+          start_date: '2024-01-01',
+          interval_days: 3,
+          status: { text: 'Standup', emoji: ':speaking_head_in_silhouette:' },
+        },
+        {
+          id: 'weekdays-only',
+          type: 'every_n_days',
+          start_date: '2024-01-01',
+          interval_days: 2,
+          only_weekdays: true,
+          status: { text: 'Weekday meeting', emoji: ':calendar:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+
+    test('should match on interval days', () => {
+      // Jan 1, 2024 + 3 days = Jan 4, 2024
+      const jan4 = DateTime.fromISO('2024-01-04T10:00:00', { zone: timezone });
+      const rule = evaluator.findMatchingRule(jan4);
+
+      expect(rule).not.toBeNull();
+      expect(rule.id).toBe('every-3-days');
+    });
+
+    test('should not match on non-interval days', () => {
+      // Jan 2, 2024 is not an interval day (1 day after start)
+      const jan2 = DateTime.fromISO('2024-01-02T10:00:00', { zone: timezone });
+      const rule = evaluator.findMatchingRule(jan2);
+
+      expect(rule).toBeNull();
+    });
+
+    test('should respect only_weekdays constraint', () => {
+      // Jan 6, 2024 is a Saturday and would be an interval day (2, 4, 6)
+      // but should be skipped due to only_weekdays
+      const jan6 = DateTime.fromISO('2024-01-06T10:00:00', { zone: timezone }); // Saturday
+      const allRules = evaluator.getAllMatchingRules(jan6);
+      const weekdayRule = allRules.find(r => r.id === 'weekdays-only');
+
+      expect(weekdayRule).toBeUndefined();
+    });
+
+    test('should match weekday interval days', () => {
+      // Jan 3, 2024 is a Wednesday and an interval day
+      const jan3 = DateTime.fromISO('2024-01-03T10:00:00', { zone: timezone }); // Wednesday
+      const allRules = evaluator.getAllMatchingRules(jan3);
+      const weekdayRule = allRules.find(r => r.id === 'weekdays-only');
+
+      expect(weekdayRule).toBeDefined();
+    });
+
+    test('should not match before start date', () => {
+      // Dec 31, 2023 is before start date
+      const dec31 = DateTime.fromISO('2023-12-31T10:00:00', { zone: timezone });
+      const rule = evaluator.findMatchingRule(dec31);
+
+      expect(rule).toBeNull();
+    });
+
+    test('should count business days when interval_unit is business_days', () => {
+      const rule = {
+        type: 'every_n_days',
+        start_date: '2024-01-01', // Monday
+        interval: 3,
+        interval_unit: 'business_days',
+        status: { text: 'Check-in', emoji: ':wave:' },
+      };
+      const matches = iso => evaluator.ruleMatches(rule, DateTime.fromISO(iso, { zone: timezone }));
+
+      expect(matches('2024-01-01T12:00:00')).toBe(true);
+      expect(matches('2024-01-04T12:00:00')).toBe(true);
+      // Shifted past the weekend instead of skipped
+      expect(matches('2024-01-06T12:00:00')).toBe(false);
+      expect(matches('2024-01-09T12:00:00')).toBe(true);
+      expect(matches('2024-01-08T12:00:00')).toBe(false);
+      // 45 business days after the start
+      expect(matches('2024-03-04T12:00:00')).toBe(true);
+    });
+
+    test('should count weeks when interval_unit is weeks', () => {
+      const rule = {
+        type: 'every_n_days',
+        start_date: '2024-01-03',
+        interval: 2,
+        interval_unit: 'weeks',
+        status: { text: 'Retro', emoji: ':repeat:' },
+      };
+      const matches = iso => evaluator.ruleMatches(rule, DateTime.fromISO(iso, { zone: timezone }));
+
+      expect(matches('2024-01-17T12:00:00')).toBe(true);
+      expect(matches('2024-01-10T12:00:00')).toBe(false);
+    });
+
+    test('should keep the day of the month when interval_unit is months', () => {
+      const rule = {
+        type: 'every_n_days',
+        start_date: '2024-01-31',
+        interval: 1,
+        interval_unit: 'months',
+        status: { text: 'Invoicing', emoji: ':money_with_wings:' },
+      };
+      const matches = iso => evaluator.ruleMatches(rule, DateTime.fromISO(iso, { zone: timezone }));
+
+      expect(matches('2024-02-29T12:00:00')).toBe(true);
+      expect(matches('2024-03-31T12:00:00')).toBe(true);
+      expect(matches('2024-03-30T12:00:00')).toBe(false);
+      expect(matches('2024-04-30T12:00:00')).toBe(true);
+      expect(matches('2023-12-31T12:00:00')).toBe(false);
+    });
+  });
+
+  describe('Date Rules', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'holidays',
+          type: 'dates',
+          dates: ['2024-12-25', '2024-12-26', '2024-01-01'],
+          status: { text: 'Holiday', emoji: ':palm_tree:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+
+    test('should match specific dates', () => {
+      const christmas = DateTime.fromISO('2024-12-25T10:00:00', { zone: timezone });
+      const rule = evaluator.findMatchingRule(christmas);
+
+      expect(rule).not.toBeNull();
+      expect(rule.id).toBe('holidays');
+    });
+
+    test('should not match non-specified dates', () => {
+      const randomDate = DateTime.fromISO('2024-06-15T10:00:00', { zone: timezone });
+      const rule = evaluator.findMatchingRule(randomDate);
+
+      expect(rule).toBeNull();
+    });
+  });
+
+  describe('Monthly Rules', () => {
+    const matches = (rule, iso) =>
+      createScheduleEvaluator({ timezone, rules: [rule] }).ruleMatches(
+        rule,
+        DateTime.fromISO(`${iso}T10:00:00`, { zone: timezone }),
+      );
+    const status = { text: 'Monthly', emoji: ':calendar:' };
+
+    test('should match a fixed day of the month', () => {
+      const rule = { type: 'monthly', day_of_month: 15, status };
+
+      expect(matches(rule, '2024-03-15')).toBe(true);
+      expect(matches(rule, '2024-03-16')).toBe(false);
+    });
+
+    test('should fall back to the last day in short months', () => {
+      const rule = { type: 'monthly', day_of_month: 31, status };
+
+      expect(matches(rule, '2024-04-30')).toBe(true);
+      expect(matches(rule, '2024-02-29')).toBe(true);
+      expect(matches(rule, '2024-05-30')).toBe(false);
+    });
+
+    test('should match the nth weekday of the month', () => {
+      const rule = { type: 'monthly', weekday: 'tue', week: 2, status };
+
+      expect(matches(rule, '2024-01-09')).toBe(true);
+      expect(matches(rule, '2024-01-02')).toBe(false);
+      expect(matches(rule, '2024-01-16')).toBe(false);
+    });
+
+    test('should match the last weekday of the month', () => {
+      const rule = { type: 'monthly', weekday: 'fri', week: 'last', status };
+
+      expect(matches(rule, '2024-05-31')).toBe(true);
+      expect(matches(rule, '2024-05-24')).toBe(false);
+    });
+
+    test('should match the last business day of the month', () => {
+      const rule = { type: 'monthly', last_business_day: true, status };
+
+      // August 31, 2024 is a Saturday
+      expect(matches(rule, '2024-08-30')).toBe(true);
+      expect(matches(rule, '2024-08-31')).toBe(false);
+      expect(matches(rule, '2024-07-31')).toBe(true);
+    });
+  });
+
+  describe('Annual Rules', () => {
+    const matches = (rule, iso) =>
+      createScheduleEvaluator({ timezone, rules: [rule] }).ruleMatches(
+        rule,
+        DateTime.fromISO(`${iso}T10:00:00`, { zone: timezone }),
+      );
+    const status = { text: 'Holiday', emoji: ':palm_tree:' };
+
+    test('should match a fixed date every year', () => {
+      const rule = { type: 'annual', on: ['07-04'], status };
+
+      expect(matches(rule, '2024-07-04')).toBe(true);
+      expect(matches(rule, '2031-07-04')).toBe(true);
+      expect(matches(rule, '2024-07-05')).toBe(false);
+    });
+
+    test('should match floating dates', () => {
+      const rule = {
+        type: 'annual',
+        on: [
+          { month: 11, weekday: 'thu', week: 4 },
+          { month: 5, weekday: 'mon', week: 'last' },
+        ],
+        status,
+      };
+
+      expect(matches(rule, '2024-11-28')).toBe(true);
+      expect(matches(rule, '2025-11-27')).toBe(true);
+      expect(matches(rule, '2024-11-21')).toBe(false);
+      expect(matches(rule, '2024-05-27')).toBe(true);
+      expect(matches(rule, '2025-05-26')).toBe(true);
+    });
+
+    test('should cover multi-day spans across the new year', () => {
+      const rule = { type: 'annual', on: [{ date: '12-31', span_days: 2 }], status };
+
+      expect(matches(rule, '2024-12-31')).toBe(true);
+      expect(matches(rule, '2025-01-01')).toBe(true);
+      expect(matches(rule, '2025-01-02')).toBe(false);
+    });
+
+    test('should only match February 29 in leap years', () => {
+      const rule = { type: 'annual', on: ['02-29'], status };
+
+      expect(matches(rule, '2024-02-29')).toBe(true);
+      expect(matches(rule, '2025-02-28')).toBe(false);
+      expect(matches(rule, '2025-03-01')).toBe(false);
+    });
+  });
+
+  describe('Date Range Rules', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'vacation',
+          type: 'date_range',
+          start: '2024-08-09',
+          end: '2024-08-16',
+          status: { text: 'On vacation', emoji: ':palm_tree:' },
+          first_day: {
+            time: '15:00',
+            status: { text: 'Heading out', emoji: ':airplane:' },
+          },
+          last_day: { end_time: '12:00' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should start on the first day at its own time and status', () => {
+      expect(evaluator.findMatchingRule(at('2024-08-09T14:00:00'))).toBeNull();
+
+      const occurrence = evaluator.findActiveOccurrence(at('2024-08-09T16:00:00'));
+      expect(occurrence.rule.id).toBe('vacation');
+      expect(occurrence.status.text).toBe('Heading out');
+    });
+
+    test('should use the rule status on the days in between', () => {
+      const occurrence = evaluator.findActiveOccurrence(at('2024-08-12T08:00:00'));
+      expect(occurrence.status.text).toBe('On vacation');
+    });
+
+    test('should end on the last day at its end time', () => {
+      expect(evaluator.findMatchingRule(at('2024-08-16T11:00:00')).id).toBe('vacation');
+      expect(evaluator.findMatchingRule(at('2024-08-16T12:00:00'))).toBeNull();
+      expect(evaluator.findMatchingRule(at('2024-08-17T08:00:00'))).toBeNull();
+    });
+  });
+
+  describe('Work Week', () => {
+    const schedule = {
+      timezone,
+      work_week: ['sun', 'mon', 'tue', 'wed', 'thu'],
+      rules: [
+        {
+          id: 'month-end',
+          type: 'monthly',
+          last_business_day: true,
+          status: { text: 'Month end', emoji: ':ledger:' },
+        },
+        {
+          id: 'working-days',
+          type: 'weekly',
+          days: ['fri', 'sat', 'sun'],
+          only_weekdays: true,
+          status: { text: 'Working', emoji: ':computer:' },
+        },
+        {
+          id: 'every-other-working-day',
+          type: 'every_n_days',
+          start_date: '2024-01-04', // Thursday
+          interval: 2,
+          interval_unit: 'business_days',
+          status: { text: 'Check-in', emoji: ':wave:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should keep only working days with only_weekdays', () => {
+      const rule = schedule.rules[1];
+
+      expect(evaluator.ruleMatches(rule, at('2024-01-07T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-01-05T10:00:00'))).toBe(false);
+    });
+
+    test('should use the work week for the last business day', () => {
+      // May 31, 2024 is a Friday; Thursday the 30th is the last working day
+      expect(evaluator.ruleMatches(schedule.rules[0], at('2024-05-30T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(schedule.rules[0], at('2024-05-31T10:00:00'))).toBe(false);
+    });
+
+    test('should count business day intervals in the work week', () => {
+      const rule = schedule.rules[2];
+
+      expect(evaluator.ruleMatches(rule, at('2024-01-04T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-01-08T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-01-07T10:00:00'))).toBe(false);
+    });
+  });
+
+  describe('Public Holidays', () => {
+    const schedule = {
+      timezone,
+      holidays: { country: 'US', region: 'CA' },
+      rules: [
+        {
+          id: 'holiday',
+          type: 'holiday',
+          status: { text: 'Public holiday', emoji: ':tada:' },
+        },
+        {
+          id: 'workday',
+          type: 'weekly',
+          days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+          time: '09:00',
+          skip_holidays: true,
+          status: { text: 'Working', emoji: ':computer:' },
+        },
+        {
+          id: 'month-end',
+          type: 'monthly',
+          last_business_day: true,
+          status: { text: 'Month end', emoji: ':ledger:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should match holiday rules on public holidays', () => {
+      expect(evaluator.findMatchingRule(at('2024-11-28T10:00:00')).id).toBe('holiday');
+      expect(evaluator.findMatchingRule(at('2024-11-29T10:00:00')).id).toBe('holiday');
+      expect(evaluator.findMatchingRule(at('2024-11-27T10:00:00')).id).toBe('workday');
+    });
+
+    test('should skip holidays with skip_holidays', () => {
+      expect(evaluator.ruleMatches(schedule.rules[1], at('2024-07-04T10:00:00'))).toBe(false);
+      expect(evaluator.ruleMatches(schedule.rules[1], at('2024-07-05T10:00:00'))).toBe(true);
+    });
+
+    test('should not count holidays as business days', () => {
+      // December 31, 2021 is the observed New Year's Day
+      expect(evaluator.ruleMatches(schedule.rules[2], at('2021-12-30T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(schedule.rules[2], at('2021-12-31T10:00:00'))).toBe(false);
+    });
+
+    test('should skip holidays when counting business day intervals', () => {
+      const rule = {
+        type: 'every_n_days',
+        start_date: '2024-11-25', // Monday
+        interval: 3,
+        interval_unit: 'business_days',
+        status: { text: 'Check-in', emoji: ':wave:' },
+      };
+
+      // Nov 28 and 29 are holidays, so the third business day is Dec 2
+      expect(evaluator.ruleMatches(rule, at('2024-12-02T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-11-28T10:00:00'))).toBe(false);
+      expect(evaluator.ruleMatches(rule, at('2024-12-05T10:00:00'))).toBe(true);
+    });
+  });
+
+  describe('Non-Working Day Policies', () => {
+    const schedule = {
+      timezone,
+      holidays: { country: 'US' },
+      rules: [],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+    const payday = policy => ({
+      type: 'monthly',
+      day_of_month: 31,
+      on_non_working_day: policy,
+      status: { text: 'Payday', emoji: ':moneybag:' },
+    });
+
+    test('should keep non-working days by default', () => {
+      // August 31, 2024 is a Saturday
+      expect(evaluator.ruleMatches(payday('keep'), at('2024-08-31T10:00:00'))).toBe(true);
+    });
+
+    test('should skip non-working days', () => {
+      expect(evaluator.ruleMatches(payday('skip'), at('2024-08-31T10:00:00'))).toBe(false);
+      expect(evaluator.ruleMatches(payday('skip'), at('2024-08-30T10:00:00'))).toBe(false);
+    });
+
+    test('should move to the previous working day', () => {
+      expect(evaluator.ruleMatches(payday('previous'), at('2024-08-31T10:00:00'))).toBe(false);
+      expect(evaluator.ruleMatches(payday('previous'), at('2024-08-30T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(payday('previous'), at('2024-07-31T10:00:00'))).toBe(true);
+    });
+
+    test('should move to the next working day past weekends and holidays', () => {
+      // Monday September 2, 2024 is Labor Day
+      expect(evaluator.ruleMatches(payday('next'), at('2024-09-02T10:00:00'))).toBe(false);
+      expect(evaluator.ruleMatches(payday('next'), at('2024-09-03T10:00:00'))).toBe(true);
+    });
+
+    test('should list the moved day as a transition', () => {
+      const rule = { ...payday('previous'), id: 'payday' };
+      const shifted = createScheduleEvaluator({ ...schedule, rules: [rule] });
+      const start = at('2024-08-26T00:00:00');
+
+      const transitions = shifted.getTransitions(start, start.plus({ days: 7 }));
+      expect(transitions.map(t => t.at.toISODate())).toEqual(['2024-08-30']);
+    });
+  });
+
+  describe('Exception Dates', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'standup',
+          type: 'weekly',
+          days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+          time: '09:00',
+          end_time: '01:00',
+          except_dates: ['2024-01-16'],
+          except_ranges: [{ start: '2024-01-22', end: '2024-01-24' }],
+          status: { text: 'Standup', emoji: ':speaking_head_in_silhouette:' },
+        },
+        {
+          id: 'fallback',
+          type: 'every_n_days',
+          start_date: '2024-01-01',
+          interval_days: 1,
+          status: { text: 'Working', emoji: ':computer:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should skip excepted dates', () => {
+      expect(evaluator.findMatchingRule(at('2024-01-15T10:00:00')).id).toBe('standup');
+      expect(evaluator.findMatchingRule(at('2024-01-16T10:00:00')).id).toBe('fallback');
+      expect(evaluator.findMatchingRule(at('2024-01-17T10:00:00')).id).toBe('standup');
+    });
+
+    test('should skip every day of an excepted range', () => {
+      expect(evaluator.findMatchingRule(at('2024-01-22T10:00:00')).id).toBe('fallback');
+      expect(evaluator.findMatchingRule(at('2024-01-24T10:00:00')).id).toBe('fallback');
+      expect(evaluator.findMatchingRule(at('2024-01-25T10:00:00')).id).toBe('standup');
+    });
+
+    test('should keep a window that started before the excepted day', () => {
+      expect(evaluator.findMatchingRule(at('2024-01-16T00:30:00')).id).toBe('standup');
+    });
+  });
+
+  describe('Validity Periods', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'summer-hours',
+          type: 'weekly',
+          days: ['fri'],
+          time: '13:00',
+          active_from: '2024-06-01',
+          active_until: '2024-08-30T15:00',
+          status: { text: 'Summer hours', emoji: ':sunny:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should only match inside the validity period', () => {
+      expect(evaluator.findMatchingRule(at('2024-05-31T14:00:00'))).toBeNull();
+      expect(evaluator.findMatchingRule(at('2024-06-07T14:00:00')).id).toBe('summer-hours');
+      expect(evaluator.findMatchingRule(at('2024-09-06T14:00:00'))).toBeNull();
+    });
+
+    test('should end the last occurrence at active_until', () => {
+      const occurrence = evaluator.findActiveOccurrence(at('2024-08-30T14:00:00'));
+      expect(occurrence.end.toFormat('HH:mm')).toBe('15:00');
+      expect(evaluator.findMatchingRule(at('2024-08-30T15:00:00'))).toBeNull();
+    });
+
+    test('should not list transitions outside the period', () => {
+      const start = at('2024-05-20T00:00:00');
+      const transitions = evaluator.getTransitions(start, start.plus({ days: 21 }));
+
+      expect(transitions.map(t => t.at.toISODate())).toEqual(['2024-06-07']);
+    });
+
+    test('should describe expired rules', () => {
+      const rule = { ...schedule.rules[0], active_until: '2020-01-01' };
+      expect(getNextExecutionDescription(rule, timezone)).toBe('Rule has expired');
+    });
+  });
+
+  describe('Composite Rules', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'fortnightly-review',
+          type: 'composite',
+          time: '14:00',
+          when: {
+            all: [
+              { type: 'weekly', days: ['tue'] },
+              { type: 'every_n_days', start_date: '2024-01-02', interval_days: 14 },
+              { not: { type: 'monthly', weekday: 'tue', week: 1 } },
+            ],
+          },
+          status: { text: 'Review', emoji: ':mag:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should match when every condition holds', () => {
+      expect(evaluator.findMatchingRule(at('2024-01-16T15:00:00')).id).toBe('fortnightly-review');
+      expect(evaluator.findMatchingRule(at('2024-01-16T13:00:00'))).toBeNull();
+    });
+
+    test('should not match when a condition fails', () => {
+      // Off week
+      expect(evaluator.findMatchingRule(at('2024-01-09T15:00:00'))).toBeNull();
+      // First Tuesday of January, excluded by the not condition
+      expect(evaluator.findMatchingRule(at('2024-01-02T15:00:00'))).toBeNull();
+      // Second Tuesday of February
+      expect(evaluator.findMatchingRule(at('2024-02-13T15:00:00')).id).toBe('fortnightly-review');
+    });
+
+    test('should match when any condition holds', () => {
+      const rule = {
+        type: 'composite',
+        when: {
+          any: [
+            { type: 'dates', dates: ['2024-03-01'] },
+            { type: 'monthly', day_of_month: 15 },
+          ],
+        },
+        status: { text: 'Any', emoji: ':white_check_mark:' },
+      };
+
+      expect(evaluator.ruleMatches(rule, at('2024-03-01T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-04-15T10:00:00'))).toBe(true);
+      expect(evaluator.ruleMatches(rule, at('2024-04-16T10:00:00'))).toBe(false);
+    });
+  });
+
+  describe('Cron Rules', () => {
+    const schedule = {
+      timezone,
+      options: { match_strategy: 'latest_start' },
+      rules: [
+        {
+          id: 'first-working-day',
+          type: 'cron',
+          expression: '*/15 13 1W * *',
+          duration_minutes: 10,
+          status: { text: 'Month-start sync', emoji: ':calendar:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should match inside each fire window', () => {
+      // June 3, 2024 is the first working day of June
+      expect(evaluator.findMatchingRule(at('2024-06-03T13:20:00')).id).toBe('first-working-day');
+      expect(evaluator.findMatchingRule(at('2024-06-03T13:27:00'))).toBeNull();
+      expect(evaluator.findMatchingRule(at('2024-06-04T13:20:00'))).toBeNull();
+    });
+
+    test('should start the occurrence at the latest fire time', () => {
+      const occurrence = evaluator.findActiveOccurrence(at('2024-06-03T13:47:00'));
+      expect(occurrence.start.toFormat('HH:mm')).toBe('13:45');
+    });
+
+    test('should list each fire as a transition', () => {
+      const start = at('2024-06-03T00:00:00');
+      const transitions = evaluator.getTransitions(start, start.plus({ days: 1 }));
+
+      expect(transitions.map(t => t.at.toFormat('HH:mm'))).toEqual([
+        '13:00',
+        '13:15',
+        '13:30',
+        '13:45',
+      ]);
+    });
+  });
+
+  describe('Rule Priority', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'high-priority',
+          type: 'weekly',
+          days: ['mon'],
+          status: { text: 'High Priority', emoji: ':one:' },
+        },
+        {
+          id: 'low-priority',
+          type: 'weekly',
+          days: ['mon'],
+          status: { text: 'Low Priority', emoji: ':two:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+
+    test('should return first matching rule', () => {
+      const monday = DateTime.fromISO('2024-01-08T10:00:00', { zone: timezone });
+      const rule = evaluator.findMatchingRule(monday);
+
+      expect(rule).not.toBeNull();
+      expect(rule.id).toBe('high-priority');
+    });
+
+    test('should return all matching rules', () => {
+      const monday = DateTime.fromISO('2024-01-08T10:00:00', { zone: timezone });
+      const rules = evaluator.getAllMatchingRules(monday);
+
+      expect(rules).toHaveLength(2);
+      expect(rules[0].id).toBe('high-priority');
+      expect(rules[1].id).toBe('low-priority');
+    });
+  });
+
+  describe('Latest Start Strategy', () => {
+    const schedule = {
+      timezone,
+      options: { match_strategy: 'latest_start' },
+      rules: [
+        {
+          id: 'morning-focus',
+          type: 'weekly',
+          days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+          time: '09:00',
+          status: { text: 'Focus', emoji: ':brain:' },
+        },
+        {
+          id: 'lunch-break',
+          type: 'weekly',
+          days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+          time: '12:00',
+          status: { text: 'Lunch', emoji: ':fork_and_knife:' },
+        },
+        {
+          id: 'end-of-day',
+          type: 'weekly',
+          days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+          time: '17:30',
+          status: { text: 'Done', emoji: ':wave:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+
+    test('should hand over to the most recently started rule', () => {
+      const at = time => DateTime.fromISO(`2024-01-08T${time}`, { zone: timezone });
+
+      expect(evaluator.findMatchingRule(at('08:00'))).toBeNull();
+      expect(evaluator.findMatchingRule(at('10:00')).id).toBe('morning-focus');
+      expect(evaluator.findMatchingRule(at('12:30')).id).toBe('lunch-break');
+      expect(evaluator.findMatchingRule(at('18:00')).id).toBe('end-of-day');
+    });
+
+    test('should keep first match as the default strategy', () => {
+      const firstMatch = createScheduleEvaluator({ ...schedule, options: {} });
+      const afternoon = DateTime.fromISO('2024-01-08T18:00:00', { zone: timezone });
+
+      expect(firstMatch.findMatchingRule(afternoon).id).toBe('morning-focus');
+    });
+
+    test('should list every transition in a day', () => {
+      const start = DateTime.fromISO('2024-01-08T00:00:00', { zone: timezone });
+      const transitions = evaluator.getTransitions(start, start.plus({ days: 1 }));
+
+      expect(transitions.map(t => t.rule.id)).toEqual([
+        'morning-focus',
+        'lunch-break',
+        'end-of-day',
+      ]);
+      expect(transitions.map(t => t.at.toFormat('HH:mm'))).toEqual(['09:00', '12:00', '17:30']);
+    });
+  });
+
+  describe('Active Windows', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'lunch',
+          type: 'weekly',
+          days: ['mon'],
+          time: '12:00',
+          duration_minutes: 60,
+          status: { text: 'Lunch', emoji: ':fork_and_knife:' },
+        },
+        {
+          id: 'on-call',
+          type: 'weekly',
+          days: ['mon'],
+          time: '22:00',
+          end_time: '06:00',
+          status: { text: 'On call', emoji: ':pager:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: timezone });
+
+    test('should stop matching once the duration has passed', () => {
+      expect(evaluator.findMatchingRule(at('2024-01-08T12:30:00')).id).toBe('lunch');
+      expect(evaluator.findMatchingRule(at('2024-01-08T13:00:00'))).toBeNull();
+    });
+
+    test('should carry an overnight end_time into the next day', () => {
+      expect(evaluator.findMatchingRule(at('2024-01-08T23:00:00')).id).toBe('on-call');
+      expect(evaluator.findMatchingRule(at('2024-01-09T05:59:00')).id).toBe('on-call');
+      expect(evaluator.findMatchingRule(at('2024-01-09T06:00:00'))).toBeNull();
+    });
+
+    test('should expose the end of the window on the occurrence', () => {
+      const occurrence = evaluator.findActiveOccurrence(at('2024-01-08T12:15:00'));
+
+      expect(occurrence.end.toISO()).toBe(at('2024-01-08T13:00:00').toISO());
+    });
+  });
+
+  describe('Disabled Rules', () => {
+    const schedule = {
+      timezone,
+      rules: [
+        {
+          id: 'disabled',
+          type: 'weekly',
+          days: ['mon'],
+          enabled: false,
+          status: { text: 'Disabled', emoji: ':no_entry:' },
+        },
+        {
+          id: 'enabled',
+          type: 'weekly',
+          days: ['mon'],
+          enabled: true,
+          status: { text: 'Enabled', emoji: ':white_check_mark:' },
+        },
+      ],
+    };
+
+    const evaluator = createScheduleEvaluator(schedule);
+    const monday = DateTime.fromISO('2024-01-08T10:00:00', { zone: timezone });
+
+    test('should skip disabled rules', () => {
+      expect(evaluator.findMatchingRule(monday).id).toBe('enabled');
+      expect(evaluator.getAllMatchingRules(monday).map(r => r.id)).toEqual(['enabled']);
+      expect(evaluator.ruleMatches(schedule.rules[0], monday)).toBe(false);
+    });
+
+    test('should leave disabled rules out of transitions', () => {
+      const start = monday.startOf('day');
+      const transitions = evaluator.getTransitions(start, start.plus({ days: 1 }));
+
+      expect(transitions.map(t => t.rule.id)).toEqual(['enabled']);
+    });
+
+    test('should describe disabled rules as such', () => {
+      expect(getNextExecutionDescription(schedule.rules[0], timezone)).toBe('Rule is disabled');
+    });
   });
 
-  describe('Interval Rules', () => {
+  describe('Timezone Handling', () => {
+    test('should handle different timezones correctly', () => {
+      const schedule = {
+        timezone: 'Europe/London',
+        rules: [
+          {
+            id: 'london-time',
+            type: 'weekly',
+            days: ['mon'],
+            time: '09:00',
+            status: { text: 'London time', emoji: ':gb:' },
+          },
+        ],
+      };
+
+      const evaluator = createScheduleEvaluator(schedule);
+
+      // 9 AM London time on Monday
+      const londonTime = DateTime.fromISO('2024-01-08T09:00:00', { zone: 'Europe/London' });
+      const rule = evaluator.findMatchingRule(londonTime);
+
+      expect(rule).not.toBeNull();
+      expect(rule.id).toBe('london-time');
+    });
+  });
+
+  describe('Rule Timezones', () => {
     const schedule = {
-      timezone,
+      timezone: 'Australia/Sydney',
       rules: [
         {
-          id: 'every-3-days',
-          type: 'every_n_days',
-          start_date: '2024-01-01',
-          interval_days: 3,
-          status: { text: 'Standup', emoji: ':speaking_head_in_silhouette:' },
+          id: 'tokyo-monday',
+          type: 'weekly',
+          days: ['mon'],
+          time: '09:00',
+          tz: 'Asia/Tokyo',
+          status: { text: 'Tokyo sync', emoji: ':jp:' },
         },
         {
-          id: 'weekdays-only',
-          type: 'every_n_days',
-          start_date: '2024-01-01',
-          interval_days: 2,
-          only_weekdays: true,
-          status: { text: 'Weekday meeting', emoji: ':calendar:' },
+          id: 'sydney-monday',
+          type: 'weekly',
+          days: ['mon'],
+          time: '09:00',
+          status: { text: 'Sydney standup', emoji: ':flag-au:' },
         },
       ],
     };
 
     const evaluator = createScheduleEvaluator(schedule);
 
-    test('should match on interval days', () => {
-      // Jan 1, 2024 + 3 days = Jan 4, 2024
-      const jan4 = DateTime.fromISO('2024-01-04T10:00:00', { zone: timezone });
-      const rule = evaluator.findMatchingRule(jan4);
+    test('should evaluate a rule in its own timezone', () => {
+      // 10:30 Monday in Sydney is 08:30 Monday in Tokyo
+      const sydneyMorning = DateTime.fromISO('2024-01-08T10:30:00', {
+        zone: 'Australia/Sydney',
+      });
+      expect(evaluator.getAllMatchingRules(sydneyMorning).map(r => r.id)).toEqual([
+        'sydney-monday',
+      ]);
 
-      expect(rule).not.toBeNull();
-      expect(rule.id).toBe('every-3-days');
+      // 11:00 Monday in Sydney is 09:00 Monday in Tokyo
+      const tokyoNine = DateTime.fromISO('2024-01-08T11:00:00', { zone: 'Australia/Sydney' });
+      expect(evaluator.findMatchingRule(tokyoNine).id).toBe('tokyo-monday');
     });
 
-    test('should not match on non-interval days', () => {
-      // Jan 2, 2024 is not an interval day (1 day after start)
-      const jan2 = DateTime.fromISO('2024-01-02T10:00:00', { zone: timezone });
-      const rule = evaluator.findMatchingRule(jan2);
+    test('should use the rule timezone for the day of week', () => {
+      // 01:00 Tuesday in Sydney is still 23:00 Monday in Tokyo
+      const tuesday = DateTime.fromISO('2024-01-09T01:00:00', { zone: 'Australia/Sydney' });
+      expect(evaluator.findMatchingRule(tuesday).id).toBe('tokyo-monday');
+    });
 
-      expect(rule).toBeNull();
+    test('should report transitions in the schedule timezone', () => {
+      const start = DateTime.fromISO('2024-01-08T00:00:00', { zone: 'Australia/Sydney' });
+      const transitions = evaluator.getTransitions(start, start.plus({ days: 1 }));
+      const tokyo = transitions.find(t => t.rule.id === 'tokyo-monday');
+
+      expect(tokyo.at.zoneName).toBe('Australia/Sydney');
+      expect(tokyo.at.toFormat('HH:mm')).toBe('11:00');
     });
+  });
 
-    test('should respect only_weekdays constraint', () => {
-      // Jan 6, 2024 is a Saturday and would be an interval day (2, 4, 6)
-      // but should be skipped due to only_weekdays
-      const jan6 = DateTime.fromISO('2024-01-06T10:00:00', { zone: timezone }); // Saturday
-      const allRules = evaluator.getAllMatchingRules(jan6);
-      const weekdayRule = allRules.find(r => r.id === 'weekdays-only');
+  describe('Time Slots', () => {
+    const schedule = {
+      timezone: 'America/Los_Angeles',
+      rules: [
+        {
+          id: 'workday',
+          type: 'weekly',
+          days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+          slots: [
+            { time: '09:00', status: { text: 'Focus time', emoji: ':brain:' } },
+            {
+              time: '12:00',
+              duration_minutes: 60,
+              status: { text: 'At lunch', emoji: ':fork_and_knife:' },
+            },
+            { time: '17:30', status: { text: 'Done for the day', emoji: ':wave:' } },
+          ],
+        },
+      ],
+    };
 
-      expect(weekdayRule).toBeUndefined();
+    const evaluator = createScheduleEvaluator(schedule);
+    const at = time => DateTime.fromISO(`2024-01-08T${time}`, { zone: schedule.timezone });
+
+    test('should use the status of the slot that is active', () => {
+      expect(evaluator.findActiveOccurrence(at('08:59'))).toBeNull();
+      expect(evaluator.findActiveOccurrence(at('09:00')).status.text).toBe('Focus time');
+      expect(evaluator.findActiveOccurrence(at('12:30')).status.text).toBe('At lunch');
+      expect(evaluator.findActiveOccurrence(at('18:00')).status.text).toBe('Done for the day');
     });
 
-    test('should match weekday interval days', () => {
-      // Jan 3, 2024 is a Wednesday and an interval day
-      const jan3 = DateTime.fromISO('2024-01-03T10:00:00', { zone: timezone }); // Wednesday
-      const allRules = evaluator.getAllMatchingRules(jan3);
-      const weekdayRule = allRules.find(r => r.id === 'weekdays-only');
+    test('should return to the earlier slot when a slot window closes', () => {
+      const occurrence = evaluator.findActiveOccurrence(at('13:00'));
 
-      expect(weekdayRule).toBeDefined();
+      expect(occurrence.status.text).toBe('Focus time');
+      expect(occurrence.start.toFormat('HH:mm')).toBe('09:00');
     });
 
-    test('should not match before start date', () => {
-      // Dec 31, 2023 is before start date
-      const dec31 = DateTime.fromISO('2023-12-31T10:00:00', { zone: timezone });
-      const rule = evaluator.findMatchingRule(dec31);
+    test('should report each slot as its own transition', () => {
+      const transitions = evaluator.getTransitions(at('00:00'), at('00:00').plus({ days: 1 }));
 
-      expect(rule).toBeNull();
+      expect(transitions.map(t => [t.at.toFormat('HH:mm'), t.occurrence.status.text])).toEqual([
+        ['09:00', 'Focus time'],
+        ['12:00', 'At lunch'],
+        ['13:00', 'Focus time'],
+        ['17:30', 'Done for the day'],
+      ]);
+      expect(transitions.every(t => t.rule.id === 'workday')).toBe(true);
+    });
+
+    test('should list every slot time in the next execution description', () => {
+      const description = getNextExecutionDescription(schedule.rules[0], schedule.timezone);
+      expect(description).toMatch(/at 09:00, 12:00, 17:30$/);
     });
   });
 
-  describe('Date Rules', () => {
+  describe('Sequence Rules', () => {
     const schedule = {
-      timezone,
+      timezone: 'America/Los_Angeles',
       rules: [
         {
-          id: 'holidays',
-          type: 'dates',
-          dates: ['2024-12-25', '2024-12-26', '2024-01-01'],
-          status: { text: 'Holiday', emoji: ':palm_tree:' },
+          id: 'lunch',
+          type: 'sequence',
+          time: '12:00',
+          when: { type: 'weekly', days: ['mon', 'tue', 'wed', 'thu', 'fri'] },
+          steps: [
+            { duration_minutes: 60, status: { text: 'At lunch', emoji: ':fork_and_knife:' } },
+            { duration_minutes: 30, status: { text: 'Catching up', emoji: ':inbox_tray:' } },
+          ],
         },
       ],
     };
 
     const evaluator = createScheduleEvaluator(schedule);
+    const at = (date, time) => DateTime.fromISO(`${date}T${time}`, { zone: schedule.timezone });
 
-    test('should match specific dates', () => {
-      const christmas = DateTime.fromISO('2024-12-25T10:00:00', { zone: timezone });
-      const rule = evaluator.findMatchingRule(christmas);
+    test('should run each step for its duration', () => {
+      const lunch = evaluator.findActiveOccurrence(at('2024-01-08', '12:59'));
+      expect(lunch.status.text).toBe('At lunch');
+      expect(lunch.end.toFormat('HH:mm')).toBe('13:00');
 
-      expect(rule).not.toBeNull();
-      expect(rule.id).toBe('holidays');
+      const catchingUp = evaluator.findActiveOccurrence(at('2024-01-08', '13:00'));
+      expect(catchingUp.status.text).toBe('Catching up');
+      expect(catchingUp.end.toFormat('HH:mm')).toBe('13:30');
+
+      expect(evaluator.findActiveOccurrence(at('2024-01-08', '13:30'))).toBeNull();
     });
 
-    test('should not match non-specified dates', () => {
-      const randomDate = DateTime.fromISO('2024-06-15T10:00:00', { zone: timezone });
-      const rule = evaluator.findMatchingRule(randomDate);
+    test('should only run on days matching the when condition', () => {
+      expect(evaluator.findActiveOccurrence(at('2024-01-13', '12:30'))).toBeNull();
+      expect(
+        createScheduleEvaluator({
+          ...schedule,
+          rules: [{ ...schedule.rules[0], when: undefined }],
+        }).findActiveOccurrence(at('2024-01-13', '12:30')).status.text,
+      ).toBe('At lunch');
+    });
 
-      expect(rule).toBeNull();
+    test('should carry a sequence past midnight', () => {
+      const late = createScheduleEvaluator({
+        ...schedule,
+        rules: [{ ...schedule.rules[0], time: '23:30' }],
+      });
+
+      const occurrence = late.findActiveOccurrence(at('2024-01-09', '00:45'));
+      expect(occurrence.status.text).toBe('Catching up');
+      expect(occurrence.start.toISO()).toBe('2024-01-09T00:30:00.000-08:00');
+    });
+
+    test('should report each step as a transition', () => {
+      const day = at('2024-01-08', '00:00');
+      const transitions = evaluator.getTransitions(day, day.plus({ days: 1 }));
+
+      expect(transitions.map(t => [t.at.toFormat('HH:mm'), t.occurrence.status.text])).toEqual([
+        ['12:00', 'At lunch'],
+        ['13:00', 'Catching up'],
+      ]);
     });
   });
 
-  describe('Rule Priority', () => {
+  describe('Status Pools', () => {
+    test('should pick the same variant for every check on a day', () => {
+      const schedule = {
+        timezone: 'America/Los_Angeles',
+        rules: [
+          {
+            id: 'focus',
+            type: 'weekly',
+            days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+            time: '09:00',
+            status: {
+              emoji: ':brain:',
+              pool: [{ text: 'Deep work' }, { text: 'Heads down' }],
+            },
+          },
+        ],
+      };
+
+      const evaluator = createScheduleEvaluator(schedule);
+      const at = iso => DateTime.fromISO(iso, { zone: schedule.timezone });
+      const monday = evaluator.findActiveOccurrence(at('2024-01-08T09:00')).status;
+      const [transition] = evaluator.getTransitions(at('2024-01-08'), at('2024-01-09'));
+
+      expect(evaluator.findActiveOccurrence(at('2024-01-08T16:00')).status).toEqual(monday);
+      expect(transition.occurrence.status).toEqual(monday);
+      expect(evaluator.findActiveOccurrence(at('2024-01-09T09:00')).status).not.toEqual(monday);
+      expect(monday).toEqual({ emoji: ':brain:', text: expect.any(String) });
+    });
+  });
+
+  describe('Daylight Saving Time', () => {
+    const sunday = (zone, time, extra = {}) =>
+      createScheduleEvaluator({
+        timezone: zone,
+        rules: [
+          {
+            id: 'sunday',
+            type: 'weekly',
+            days: ['sun'],
+            time,
+            status: { text: 'Sunday', emoji: ':calendar:' },
+            ...extra,
+          },
+        ],
+      });
+
+    const startOn = (evaluator, date, zone) => {
+      const day = DateTime.fromISO(date, { zone });
+      const [transition] = evaluator.getTransitions(day, day.plus({ days: 1 }));
+      return transition?.at.toISO({ suppressMilliseconds: true }) ?? null;
+    };
+
+    test('should start at the wall-clock time on transition days', () => {
+      const zone = 'America/Los_Angeles';
+
+      expect(startOn(sunday(zone, '09:00'), '2024-03-10', zone)).toBe('2024-03-10T09:00:00-07:00');
+      expect(startOn(sunday(zone, '09:00'), '2024-11-03', zone)).toBe('2024-11-03T09:00:00-08:00');
+
+      const london = 'Europe/London';
+      expect(startOn(sunday(london, '09:00'), '2024-03-31', london)).toBe(
+        '2024-03-31T09:00:00+01:00',
+      );
+      expect(startOn(sunday(london, '09:00'), '2024-10-27', london)).toBe(
+        '2024-10-27T09:00:00+00:00',
+      );
+    });
+
+    test('should shift a nonexistent time forward by default', () => {
+      const zone = 'America/Los_Angeles';
+      const evaluator = sunday(zone, '02:30');
+
+      expect(startOn(evaluator, '2024-03-10', zone)).toBe('2024-03-10T03:30:00-07:00');
+      expect(
+        evaluator.findMatchingRule(DateTime.fromISO('2024-03-10T03:00:00', { zone })),
+      ).toBeNull();
+
+      const london = 'Europe/London';
+      expect(startOn(sunday(london, '01:30'), '2024-03-31', london)).toBe(
+        '2024-03-31T02:30:00+01:00',
+      );
+    });
+
+    test('should skip a nonexistent time when dst_nonexistent is skip', () => {
+      const zone = 'America/Los_Angeles';
+      const evaluator = sunday(zone, '02:30', { dst_nonexistent: 'skip' });
+
+      expect(startOn(evaluator, '2024-03-10', zone)).toBeNull();
+      expect(evaluator.findMatchingRule(DateTime.fromISO('2024-03-10T12:00:00', { zone }))).toBe(
+        null,
+      );
+      expect(startOn(evaluator, '2024-03-17', zone)).toBe('2024-03-17T02:30:00-07:00');
+    });
+
+    test('should choose the occurrence of a repeated time', () => {
+      const zone = 'America/Los_Angeles';
+
+      expect(startOn(sunday(zone, '01:30'), '2024-11-03', zone)).toBe('2024-11-03T01:30:00-07:00');
+      expect(startOn(sunday(zone, '01:30', { dst_ambiguous: 'second' }), '2024-11-03', zone)).toBe(
+        '2024-11-03T01:30:00-08:00',
+      );
+
+      const london = 'Europe/London';
+      expect(startOn(sunday(london, '01:30'), '2024-10-27', london)).toBe(
+        '2024-10-27T01:30:00+01:00',
+      );
+      expect(
+        startOn(sunday(london, '01:30', { dst_ambiguous: 'second' }), '2024-10-27', london),
+      ).toBe('2024-10-27T01:30:00+00:00');
+    });
+
+    test('should apply DST policies to cron fire times', () => {
+      const zone = 'America/Los_Angeles';
+      const evaluator = createScheduleEvaluator({
+        timezone: zone,
+        rules: [
+          {
+            id: 'half-hourly',
+            type: 'cron',
+            expression: '30 1-3 * * *',
+            dst_nonexistent: 'skip',
+            status: { text: 'Check', emoji: ':eyes:' },
+          },
+        ],
+      });
+
+      const day = DateTime.fromISO('2024-03-10', { zone });
+      const starts = evaluator
+        .getTransitions(day, day.plus({ days: 1 }))
+        .filter(t => t.rule)
+        .map(t => t.at.toFormat('HH:mm'));
+
+      expect(starts).toEqual(['01:30', '03:30']);
+    });
+
+    test('should end a window at the wall-clock end_time across a transition', () => {
+      const zone = 'Europe/London';
+      const evaluator = createScheduleEvaluator({
+        timezone: zone,
+        rules: [
+          {
+            id: 'overnight',
+            type: 'weekly',
+            days: ['sat'],
+            time: '22:00',
+            end_time: '06:00',
+            status: { text: 'Overnight', emoji: ':zzz:' },
+          },
+        ],
+      });
+
+      const sundayMorning = DateTime.fromISO('2024-03-31T05:30:00', { zone });
+      expect(evaluator.findActiveOccurrence(sundayMorning).end.toISO()).toBe(
+        '2024-03-31T06:00:00.000+01:00',
+      );
+    });
+
+    test('should count interval days across transitions', () => {
+      const rule = {
+        id: 'every-ten',
+        type: 'every_n_days',
+        interval_days: 10,
+        start_date: '2024-03-01',
+        status: { text: 'Every ten', emoji: ':repeat:' },
+      };
+
+      for (const [zone, date] of [
+        ['America/Los_Angeles', '2024-03-11T00:30:00'],
+        ['Europe/London', '2024-03-31T00:30:00'],
+      ]) {
+        const evaluator = createScheduleEvaluator({ timezone: zone, rules: [rule] });
+        expect(evaluator.findMatchingRule(DateTime.fromISO(date, { zone }))?.id).toBe('every-ten');
+      }
+    });
+  });
+
+  describe('getNextChange', () => {
     const schedule = {
-      timezone,
+      timezone: 'America/Los_Angeles',
+      options: { match_strategy: 'latest_start' },
       rules: [
         {
-          id: 'high-priority',
+          id: 'focus',
           type: 'weekly',
           days: ['mon'],
-          status: { text: 'High Priority', emoji: ':one:' },
+          time: '09:00',
+          end_time: '12:00',
+          status: { text: 'Focus time', emoji: ':brain:' },
         },
         {
-          id: 'low-priority',
+          id: 'standup',
           type: 'weekly',
           days: ['mon'],
-          status: { text: 'Low Priority', emoji: ':two:' },
+          time: '10:00',
+          duration_minutes: 15,
+          status: { text: 'Standup', emoji: ':speaking_head_in_silhouette:' },
         },
       ],
     };
 
     const evaluator = createScheduleEvaluator(schedule);
+    const at = iso => DateTime.fromISO(iso, { zone: schedule.timezone });
+    const next = iso => evaluator.getNextChange(at(iso), at(iso).plus({ days: 7 }))?.toISO();
 
-    test('should return first matching rule', () => {
-      const monday = DateTime.fromISO('2024-01-08T10:00:00', { zone: timezone });
-      const rule = evaluator.findMatchingRule(monday);
+    test('should find the next rule start', () => {
+      expect(next('2024-01-08T08:00')).toBe('2024-01-08T09:00:00.000-08:00');
+      expect(next('2024-01-08T09:00')).toBe('2024-01-08T10:00:00.000-08:00');
+    });
 
-      expect(rule).not.toBeNull();
-      expect(rule.id).toBe('high-priority');
+    test('should include the return to an earlier rule and the last rule ending', () => {
+      expect(next('2024-01-08T10:05')).toBe('2024-01-08T10:15:00.000-08:00');
+      expect(next('2024-01-08T11:00')).toBe('2024-01-08T12:00:00.000-08:00');
     });
 
-    test('should return all matching rules', () => {
-      const monday = DateTime.fromISO('2024-01-08T10:00:00', { zone: timezone });
-      const rules = evaluator.getAllMatchingRules(monday);
+    test('should return null when nothing changes before the end date', () => {
+      expect(next('2024-01-08T12:00')).toBe('2024-01-15T09:00:00.000-08:00');
+      expect(evaluator.getNextChange(at('2024-01-08T12:00'), at('2024-01-10'))).toBeNull();
+    });
 
-      expect(rules).toHaveLength(2);
-      expect(rules[0].id).toBe('high-priority');
-      expect(rules[1].id).toBe('low-priority');
+    test('should skip ends with nothing taking over when finding the next start', () => {
+      const nextStart = iso => evaluator.getNextStart(at(iso), at(iso).plus({ days: 7 }))?.toISO();
+
+      expect(nextStart('2024-01-08T10:05')).toBe('2024-01-08T10:15:00.000-08:00');
+      expect(nextStart('2024-01-08T11:00')).toBe('2024-01-15T09:00:00.000-08:00');
+      expect(evaluator.getNextStart(at('2024-01-08T11:00'), at('2024-01-10'))).toBeNull();
     });
   });
 
-  describe('Timezone Handling', () => {
-    test('should handle different timezones correctly', () => {
-      const schedule = {
-        timezone: 'Europe/London',
+  describe('Busy schedules', () => {
+    test('should list every change of an every-minute cron rule', () => {
+      const evaluator = createScheduleEvaluator({
+        timezone,
         rules: [
           {
-            id: 'london-time',
-            type: 'weekly',
-            days: ['mon'],
-            time: '09:00',
-            status: { text: 'London time', emoji: ':gb:' },
+            id: 'tick',
+            type: 'cron',
+            expression: '* * * * *',
+            duration_minutes: 1,
+            status: { text: 'Tick', emoji: ':clock1:' },
           },
         ],
-      };
+      });
+      const day = DateTime.fromISO('2024-01-08', { zone: timezone });
 
-      const evaluator = createScheduleEvaluator(schedule);
-
-      // 9 AM London time on Monday
-      const londonTime = DateTime.fromISO('2024-01-08T09:00:00', { zone: 'Europe/London' });
-      const rule = evaluator.findMatchingRule(londonTime);
-
-      expect(rule).not.toBeNull();
-      expect(rule.id).toBe('london-time');
+      const transitions = evaluator.getTransitions(day, day.plus({ days: 1 }));
+      expect(transitions).toHaveLength(1440);
+      expect(transitions[1439].at.toFormat('HH:mm')).toBe('23:59');
+      expect(evaluator.getNextChange(day.plus({ minutes: 5 }), day.plus({ days: 7 })).toISO()).toBe(
+        '2024-01-08T00:06:00.000-08:00',
+      );
     });
   });
 
@@ -313,6 +1448,20 @@ describe('Schedule Evaluator', () => {
       expect(description).toContain('at 09:00');
     });
 
+    test('should describe next execution within the week_interval cadence', () => {
+      const anchor = DateTime.now().setZone(timezone).plus({ weeks: 1 });
+      const rule = {
+        type: 'weekly',
+        days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+        week_interval: 3,
+        anchor_date: anchor.toISODate(),
+        time: '09:00',
+      };
+
+      const description = getNextExecutionDescription(rule, timezone);
+      expect(description).toBe(`Next: ${anchor.startOf('week').toFormat('cccc, LLL dd')} at 09:00`);
+    });
+
     test('should describe next interval execution', () => {
       const rule = {
         type: 'every_n_days',
@@ -337,6 +1486,139 @@ describe('Schedule Evaluator', () => {
       expect(description).toContain('Next:');
     });
 
+    test('should describe next monthly execution', () => {
+      const rule = {
+        type: 'monthly',
+        weekday: 'tue',
+        week: 2,
+        time: '11:00',
+      };
+
+      const description = getNextExecutionDescription(rule, timezone);
+      expect(description).toContain('Next: Tuesday');
+      expect(description).toContain('at 11:00');
+    });
+
+    test('should describe date ranges', () => {
+      const rule = {
+        type: 'date_range',
+        start: '2099-08-09',
+        end: '2099-08-16',
+        first_day: { time: '15:00' },
+      };
+
+      const description = getNextExecutionDescription(rule, timezone);
+      expect(description).toContain('at 15:00 until');
+      expect(
+        getNextExecutionDescription({ ...rule, start: '2020-01-01', end: '2020-01-02' }, timezone),
+      ).toBe('Date range has ended');
+    });
+
+    test('should describe the next cron fire time', () => {
+      const rule = { type: 'cron', expression: '30 6 * * *' };
+
+      const description = getNextExecutionDescription(rule, timezone);
+      expect(description).toMatch(/^Next: \w+, \w{3} \d{2} at 06:30$/);
+    });
+
+    describe('on the day of an occurrence', () => {
+      // Monday 2024-01-08 09:00 in Los Angeles, the second Monday of the month
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('should count today only while its start time is still to come', () => {
+        jest.useFakeTimers({ now: new Date('2024-01-08T17:00:00Z') });
+        const weekly = { type: 'weekly', days: ['mon'] };
+        const monthly = { type: 'monthly', weekday: 'mon', week: 2 };
+
+        expect(getNextExecutionDescription({ ...weekly, time: '10:00' }, timezone)).toBe(
+          'Next: Monday, Jan 08 at 10:00',
+        );
+        expect(getNextExecutionDescription({ ...monthly, time: '10:00' }, timezone)).toBe(
+          'Next: Monday, Jan 08 at 10:00',
+        );
+
+        expect(getNextExecutionDescription({ ...weekly, time: '08:00' }, timezone)).toBe(
+          'Next: Monday, Jan 15 at 08:00',
+        );
+        expect(getNextExecutionDescription({ ...monthly, time: '08:00' }, timezone)).toBe(
+          'Next: Monday, Feb 12 at 08:00',
+        );
+        expect(getNextExecutionDescription(monthly, timezone)).toBe(
+          'Next: Monday, Feb 12 at start of day',
+        );
+      });
+
+      test('should only call a date range in progress once it has started', () => {
+        jest.useFakeTimers({ now: new Date('2024-01-08T17:00:00Z') });
+        const rule = { type: 'date_range', start: '2024-01-08', end: '2024-01-12' };
+
+        expect(getNextExecutionDescription({ ...rule, time: '10:00' }, timezone)).toBe(
+          'Next: Monday, Jan 08 at 10:00 until Friday, Jan 12',
+        );
+        expect(getNextExecutionDescription({ ...rule, time: '08:00' }, timezone)).toBe(
+          'In progress until Friday, Jan 12',
+        );
+      });
+    });
+
+    describe('on skipped days', () => {
+      // Monday 2024-01-08 09:00 in Los Angeles
+      beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-01-08T17:00:00Z') });
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('should pass over excepted days', () => {
+        const rule = { type: 'weekly', days: ['mon'], time: '10:00' };
+
+        expect(
+          getNextExecutionDescription(
+            { ...rule, except_dates: ['2024-01-08', '2024-01-15'] },
+            timezone,
+          ),
+        ).toBe('Next: Monday, Jan 22 at 10:00');
+        expect(
+          getNextExecutionDescription(
+            { ...rule, except_ranges: [{ start: '2024-01-08', end: '2024-01-31' }] },
+            timezone,
+          ),
+        ).toBe('Next: Monday, Feb 05 at 10:00');
+      });
+
+      test('should only look at days the rule is active', () => {
+        const rule = { type: 'weekly', days: ['mon'] };
+
+        expect(
+          getNextExecutionDescription(
+            { ...rule, time: '08:00', active_until: '2024-01-10' },
+            timezone,
+          ),
+        ).toBe('No upcoming date found');
+        expect(getNextExecutionDescription({ ...rule, active_from: '2024-01-22' }, timezone)).toBe(
+          'Next: Monday, Jan 22 at start of day',
+        );
+      });
+
+      test('should pass over public holidays with skip_holidays', () => {
+        // Wednesday before Thanksgiving
+        jest.setSystemTime(new Date('2024-11-27T17:00:00Z'));
+        const calendar = createWorkCalendar({ holidays: { country: 'US' } });
+        const rule = { type: 'weekly', days: ['thu'], time: '10:00', skip_holidays: true };
+
+        expect(getNextExecutionDescription(rule, timezone, calendar)).toBe(
+          'Next: Thursday, Dec 05 at 10:00',
+        );
+        expect(
+          getNextExecutionDescription({ ...rule, skip_holidays: false }, timezone, calendar),
+        ).toBe('Next: Thursday, Nov 28 at 10:00');
+      });
+    });
+
     test('should handle no future dates', () => {
       const rule = {
         type: 'dates',
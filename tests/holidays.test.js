@@ -0,0 +1,94 @@
+/**
+ * Tests for the bundled public holiday calendars
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { DateTime } from 'luxon';
+import { getHolidays, createHolidayCalendar, HOLIDAY_COUNTRIES } from '../src/holidays/index.js';
+
+describe('Public Holidays', () => {
+  const datesOf = (settings, year) => getHolidays(settings, year).map(holiday => holiday.date);
+
+  describe('getHolidays', () => {
+    test('should compute Easter based holidays', () => {
+      expect(datesOf({ country: 'GB', region: 'ENG' }, 2024)).toEqual(
+        expect.arrayContaining(['2024-03-29', '2024-04-01']),
+      );
+      expect(datesOf({ country: 'AU' }, 2025)).toEqual(
+        expect.arrayContaining(['2025-04-18', '2025-04-21']),
+      );
+    });
+
+    test('should compute nth and last weekday holidays', () => {
+      const holidays = datesOf({ country: 'US' }, 2024);
+
+      expect(holidays).toContain('2024-01-15'); // Martin Luther King Jr. Day
+      expect(holidays).toContain('2024-05-27'); // Memorial Day
+      expect(holidays).toContain('2024-11-28'); // Thanksgiving Day
+    });
+
+    test('should move US holidays to the nearest weekday', () => {
+      const holidays = getHolidays({ country: 'US' }, 2021);
+
+      expect(holidays).toContainEqual({ date: '2021-07-05', name: 'Independence Day (observed)' });
+      expect(holidays).toContainEqual({ date: '2021-12-24', name: 'Christmas Day (observed)' });
+      // January 1, 2022 is a Saturday, so it is observed in 2021
+      expect(holidays).toContainEqual({ date: '2021-12-31', name: "New Year's Day (observed)" });
+    });
+
+    test('should give substitute days after a weekend in order', () => {
+      const holidays = getHolidays({ country: 'GB', region: 'ENG' }, 2021);
+
+      expect(holidays).toContainEqual({ date: '2021-12-27', name: 'Christmas Day (observed)' });
+      expect(holidays).toContainEqual({ date: '2021-12-28', name: 'Boxing Day (observed)' });
+    });
+
+    test('should only include regional holidays for their region', () => {
+      expect(datesOf({ country: 'GB', region: 'SCT' }, 2024)).toContain('2024-11-30');
+      expect(datesOf({ country: 'GB', region: 'ENG' }, 2024)).not.toContain('2024-11-30');
+      expect(datesOf({ country: 'US', region: 'CA' }, 2024)).toContain('2024-11-29');
+      expect(datesOf({ country: 'US' }, 2024)).not.toContain('2024-11-29');
+    });
+
+    test('should respect the first year of a holiday', () => {
+      expect(datesOf({ country: 'US' }, 2020)).not.toContain('2020-06-19');
+      expect(datesOf({ country: 'IE' }, 2024)).toContain('2024-02-05');
+      expect(datesOf({ country: 'IE' }, 2022)).not.toContain('2022-02-07');
+    });
+
+    test('should compute every supported country', () => {
+      Object.entries(HOLIDAY_COUNTRIES).forEach(([country, definition]) => {
+        [undefined, ...Object.keys(definition.regions)].forEach(region => {
+          const holidays = getHolidays({ country, region }, 2026);
+          expect(holidays.length).toBeGreaterThan(5);
+          holidays.forEach(holiday => expect(holiday.date).toMatch(/^2026-\d{2}-\d{2}$/));
+        });
+      });
+    });
+  });
+
+  describe('createHolidayCalendar', () => {
+    const calendar = createHolidayCalendar({ country: 'CA', region: 'ON' });
+
+    test('should look up holidays by date', () => {
+      const victoriaDay = DateTime.fromISO('2024-05-20', { zone: 'America/Toronto' });
+
+      expect(calendar.getHoliday(victoriaDay)).toEqual({
+        date: '2024-05-20',
+        name: 'Victoria Day',
+      });
+      expect(calendar.isHoliday(victoriaDay.plus({ days: 1 }))).toBe(false);
+    });
+
+    test('should list holidays between two dates', () => {
+      const from = DateTime.fromISO('2024-12-20');
+      const holidays = calendar.getHolidaysBetween(from, from.plus({ days: 14 }));
+
+      expect(holidays.map(holiday => holiday.name)).toEqual([
+        'Christmas Day',
+        'Boxing Day',
+        "New Year's Day",
+      ]);
+    });
+  });
+});
@@ -41,6 +41,101 @@ describe('Schedule Validator', () => {
       expect(result.errors).toContain('Schedule version must be 1');
     });
 
+    test('should warn about exceptions that never apply', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'UTC',
+        rules: [
+          {
+            type: 'weekly',
+            days: ['mon'],
+            // January 15, 2024 is a Monday; the 16th and the range are not
+            except_dates: ['2024-01-15', '2024-01-16'],
+            except_ranges: [{ start: '2024-01-17', end: '2024-01-20' }],
+            status: { text: 'Test', emoji: ':test:' },
+          },
+        ],
+      };
+
+      const result = validateSchedule(schedule);
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([
+        'Rule 1: except_dates: 2024-01-16 never applies, the rule does not run on that day',
+        'Rule 1: except_ranges[0]: 2024-01-17 to 2024-01-20 never applies, ' +
+          'the rule does not run on any of those days',
+      ]);
+    });
+
+    test('should warn about expired rules', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'UTC',
+        rules: [
+          {
+            type: 'weekly',
+            days: ['mon'],
+            active_until: '2020-01-31',
+            status: { text: 'Test', emoji: ':test:' },
+          },
+        ],
+      };
+
+      const result = validateSchedule(schedule);
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([
+        'Rule 1: Rule has expired (active_until 2020-01-31) and will never match',
+      ]);
+    });
+
+    test('should validate work_week', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'UTC',
+        work_week: ['sun', 'mon', 'tue', 'wed', 'thu'],
+        rules: [{ type: 'weekly', days: ['mon'], status: { text: 'Test', emoji: ':test:' } }],
+      };
+
+      expect(validateSchedule(schedule).valid).toBe(true);
+      expect(validateSchedule({ ...schedule, work_week: [] }).errors).toContain(
+        'work_week must be a non-empty array of days',
+      );
+      expect(validateSchedule({ ...schedule, work_week: ['mon', 'mon', 'friday'] }).errors).toEqual(
+        [
+          'Invalid work_week days: friday. Must be: mon, tue, wed, thu, fri, sat, sun',
+          'work_week contains duplicate days',
+        ],
+      );
+    });
+
+    test('should validate holiday settings', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'UTC',
+        holidays: { country: 'GB', region: 'SCT' },
+        rules: [
+          { type: 'holiday', status: { text: 'Holiday', emoji: ':tada:' } },
+          {
+            type: 'weekly',
+            days: ['mon'],
+            skip_holidays: true,
+            status: { text: 'Test', emoji: ':test:' },
+          },
+        ],
+      };
+
+      expect(validateSchedule(schedule).valid).toBe(true);
+      expect(validateSchedule({ ...schedule, holidays: { country: 'XX' } }).errors).toContain(
+        'Holidays: Unsupported country: XX. Must be one of: AU, CA, GB, IE, US',
+      );
+      expect(
+        validateSchedule({ ...schedule, holidays: { country: 'IE', region: 'D' } }).errors,
+      ).toContain('Holidays: IE does not have regions');
+      expect(validateSchedule({ ...schedule, holidays: undefined }).errors).toEqual([
+        'Rule 1: Holiday rules and skip_holidays need a schedule-level holidays setting',
+        'Rule 2: Holiday rules and skip_holidays need a schedule-level holidays setting',
+      ]);
+    });
+
     test('should reject schedule with invalid timezone', () => {
       const schedule = {
         version: 1,
@@ -76,6 +171,94 @@ describe('Schedule Validator', () => {
       expect(result.errors).toContain('Schedule must contain at least one rule');
     });
 
+    test('should reject unknown match strategy', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'America/Los_Angeles',
+        options: { match_strategy: 'random' },
+        rules: [
+          {
+            type: 'weekly',
+            days: ['mon'],
+            status: { text: 'Working', emoji: ':computer:' },
+          },
+        ],
+      };
+
+      const result = validateSchedule(schedule);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain(
+        'Options: Invalid match_strategy: random. Must be one of: first_match, latest_start',
+      );
+    });
+
+    test('should validate manual change options', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'America/Los_Angeles',
+        options: { clear_on_manual_change: 'yes', manual_change_timeout_minutes: 0 },
+        rules: [
+          {
+            type: 'weekly',
+            days: ['mon'],
+            status: { text: 'Working', emoji: ':computer:' },
+          },
+        ],
+      };
+
+      expect(validateSchedule(schedule).errors).toEqual([
+        'Options: clear_on_manual_change must be a boolean',
+        'Options: manual_change_timeout_minutes must be a positive integer',
+      ]);
+
+      schedule.options = { clear_on_manual_change: true, manual_change_timeout_minutes: 90 };
+      expect(validateSchedule(schedule).valid).toBe(true);
+    });
+
+    test('should validate the default status', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'America/Los_Angeles',
+        options: {
+          default_status_on_clear: {
+            text: 'Available',
+            active_hours: { start: '9am', end: '17:00', days: ['weekdays'] },
+          },
+        },
+        rules: [
+          {
+            type: 'weekly',
+            days: ['mon'],
+            status: { text: 'Working', emoji: ':computer:' },
+          },
+        ],
+      };
+
+      expect(validateSchedule(schedule).errors).toEqual([
+        'Options: default_status_on_clear: Status must specify emoji',
+        'Options: default_status_on_clear: Invalid active_hours start: 9am. Must be HH:MM format',
+        'Options: default_status_on_clear: Invalid active_hours days: weekdays. ' +
+          'Must be: mon, tue, wed, thu, fri, sat, sun',
+      ]);
+
+      schedule.options.default_status_on_clear = {
+        text: '',
+        emoji: '',
+        active_hours: { start: '18:00', end: '18:00' },
+      };
+      expect(validateSchedule(schedule).errors).toEqual([
+        'Options: default_status_on_clear: active_hours end must differ from start',
+      ]);
+
+      schedule.options.default_status_on_clear = {
+        text: 'Available',
+        emoji: '✅',
+        expire_hour: 18,
+        active_hours: { start: '09:00', end: '17:00' },
+      };
+      expect(validateSchedule(schedule).valid).toBe(true);
+    });
+
     test('should detect duplicate rule IDs', () => {
       const schedule = {
         version: 1,
@@ -152,6 +335,358 @@ describe('Schedule Validator', () => {
       expect(errors).toHaveLength(0);
     });
 
+    test('should validate monthly rules', () => {
+      const status = { text: 'Test', emoji: ':test:' };
+
+      expect(validateRule({ type: 'monthly', day_of_month: 1, status })).toHaveLength(0);
+      expect(validateRule({ type: 'monthly', weekday: 'tue', week: 2, status })).toHaveLength(0);
+      expect(validateRule({ type: 'monthly', weekday: 'fri', week: 'last', status })).toHaveLength(
+        0,
+      );
+      expect(validateRule({ type: 'monthly', last_business_day: true, status })).toHaveLength(0);
+    });
+
+    test('should reject invalid monthly rules', () => {
+      const status = { text: 'Test', emoji: ':test:' };
+
+      expect(validateRule({ type: 'monthly', status })).toContain(
+        'Monthly rule must specify day_of_month, weekday, or last_business_day',
+      );
+      expect(
+        validateRule({ type: 'monthly', day_of_month: 1, last_business_day: true, status }),
+      ).toContain(
+        'Monthly rule must specify only one of day_of_month, weekday, or last_business_day',
+      );
+      expect(validateRule({ type: 'monthly', day_of_month: 32, status })).toContain(
+        'day_of_month must be an integer between 1 and 31',
+      );
+      expect(validateRule({ type: 'monthly', weekday: 'tue', status })).toContain(
+        'Monthly weekday rule must specify week',
+      );
+      expect(validateRule({ type: 'monthly', weekday: 'tue', week: 6, status })).toContain(
+        "week must be an integer between 1 and 5, or 'last'",
+      );
+    });
+
+    test('should validate annual rules', () => {
+      const rule = {
+        type: 'annual',
+        on: [
+          '07-04',
+          '02-29',
+          { date: '12-24', span_days: 3 },
+          { month: 11, weekday: 'thu', week: 4 },
+        ],
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+    });
+
+    test('should reject invalid annual entries', () => {
+      const rule = {
+        type: 'annual',
+        on: ['13-01', { month: 11, weekday: 'thursday', week: 4 }, { date: '01-01', span_days: 0 }],
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      const errors = validateRule(rule);
+      expect(errors).toContain('on[0]: Invalid date format: 13-01. Must be MM-DD');
+      expect(errors).toContain(
+        'on[1]: Invalid weekday: thursday. Must be: mon, tue, wed, thu, fri, sat, sun',
+      );
+      expect(errors).toContain('on[2]: span_days must be an integer between 1 and 366');
+      expect(validateRule({ ...rule, on: [] })).toContain(
+        'Annual rule must specify at least one date',
+      );
+    });
+
+    test('should validate date range rules', () => {
+      const rule = {
+        type: 'date_range',
+        start: '2024-08-09',
+        end: '2024-08-16',
+        first_day: { time: '15:00', status: { text: 'Heading out', emoji: ':airplane:' } },
+        last_day: { end_time: '12:00' },
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+    });
+
+    test('should reject inverted date ranges', () => {
+      const rule = {
+        type: 'date_range',
+        start: '2024-08-16',
+        end: '2024-08-09',
+        first_day: { time: '3pm', color: 'red' },
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      const errors = validateRule(rule);
+      expect(errors).toContain('Date range end (2024-08-09) is before start (2024-08-16)');
+      expect(errors).toContain('first_day: Unknown properties: color');
+      expect(errors).toContain('first_day: Invalid time format: 3pm. Must be HH:MM format');
+    });
+
+    test('should validate cron rules', () => {
+      const rule = {
+        type: 'cron',
+        expression: '*/15 13 1W * *',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, expression: '0 25 * * *' })).toContain(
+        'Invalid cron expression: Invalid hour value: 25. Must be between 0 and 23',
+      );
+      expect(validateRule({ ...rule, time: '09:00' })).toContain(
+        'Cron rule cannot specify time; the expression sets when it fires',
+      );
+    });
+
+    test('should validate week_interval and anchor_date', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['mon', 'wed'],
+        week_interval: 2,
+        anchor_date: '2024-01-08',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, week_interval: 0 })).toContain(
+        'week_interval must be a positive integer',
+      );
+      expect(validateRule({ ...rule, anchor_date: undefined })).toContain(
+        'Weekly rule with week_interval must specify anchor_date',
+      );
+      expect(validateRule({ ...rule, anchor_date: '08/01/2024' })).toContain(
+        'Invalid anchor_date format: 08/01/2024. Must be YYYY-MM-DD',
+      );
+    });
+
+    test('should validate exception dates and ranges', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['mon'],
+        except_dates: ['2024-01-15', '2024-13-01'],
+        except_ranges: [{ start: '2024-02-10', end: '2024-02-01' }, 'soon'],
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      const errors = validateRule(rule);
+      expect(errors).toContain('Invalid except_dates formats: 2024-13-01. Must be YYYY-MM-DD');
+      expect(errors).toContain(
+        'except_ranges[0]: Range end (2024-02-01) is before start (2024-02-10)',
+      );
+      expect(errors).toContain('except_ranges[1]: Range must be an object with start and end');
+    });
+
+    test('should validate active_from and active_until', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['fri'],
+        active_from: '2024-06-01',
+        active_until: '2024-08-31T17:30',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, active_from: 'June' })).toContain(
+        'Invalid active_from format: June. Must be YYYY-MM-DD or an ISO datetime',
+      );
+      expect(validateRule({ ...rule, active_until: '2024-05-31' })).toContain(
+        'active_until (2024-05-31) must be after active_from (2024-06-01)',
+      );
+    });
+
+    test('should validate composite rules recursively', () => {
+      const rule = {
+        type: 'composite',
+        when: {
+          all: [
+            { type: 'weekly', days: ['tue'] },
+            { any: [] },
+            { not: { type: 'monthly', weekday: 'tue', week: 6 } },
+            { type: 'composite' },
+            { all: [{ type: 'weekly', days: ['tue'] }], not: { type: 'dates', dates: [] } },
+          ],
+        },
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toEqual([
+        'when.all[1].any: Must be a non-empty array of conditions',
+        "when.all[2].not: week must be an integer between 1 and 5, or 'last'",
+        "when.all[3]: Invalid condition type: composite. Must be 'weekly', 'every_n_days', " +
+          "'dates', 'monthly', 'annual', 'date_range', 'cron', or 'holiday'",
+        'when.all[4]: Condition must specify exactly one of all, any, not or type',
+      ]);
+      expect(validateRule({ ...rule, when: undefined })).toContain(
+        'Composite rule must specify a when condition',
+      );
+    });
+
+    test('should validate on_non_working_day', () => {
+      const rule = {
+        type: 'monthly',
+        day_of_month: 31,
+        on_non_working_day: 'previous',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, on_non_working_day: 'nearest' })).toContain(
+        'Invalid on_non_working_day: nearest. Must be one of: keep, skip, next, previous',
+      );
+    });
+
+    test('should validate DST policies', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['sun'],
+        time: '02:30',
+        dst_nonexistent: 'skip',
+        dst_ambiguous: 'second',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, dst_nonexistent: 'later', dst_ambiguous: 'last' })).toEqual([
+        'Invalid dst_nonexistent: later. Must be one of: shift_forward, skip',
+        'Invalid dst_ambiguous: last. Must be one of: first, second',
+      ]);
+    });
+
+    test('should validate slots', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['mon'],
+        slots: [
+          { time: '09:00', status: { text: 'Focus time', emoji: ':brain:' } },
+          { time: '12:00', end_time: '13:00', status: { text: 'At lunch', emoji: ':taco:' } },
+        ],
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, slots: [] })).toEqual(['slots must be a non-empty array']);
+      expect(
+        validateRule({
+          ...rule,
+          time: '09:00',
+          slots: [
+            { time: '9am', status: { text: 'Focus time', emoji: ':brain:' } },
+            { time: '12:00', status: { text: 'At lunch', emoji: ':taco:' }, days: ['tue'] },
+            { time: '12:00', end_time: '12:00' },
+          ],
+        }),
+      ).toEqual([
+        'Rule with slots cannot also specify time',
+        'slots[0]: Invalid time format: 9am. Must be HH:MM format',
+        'slots[1]: Unknown properties: days',
+        'slots[2]: Duplicate slot time 12:00',
+        'slots[2]: end_time must differ from time',
+        'slots[2]: Slot must specify a status',
+      ]);
+      expect(validateRule({ ...rule, type: 'cron', expression: '0 9 * * *' })).toContain(
+        'Cron rules cannot use slots',
+      );
+    });
+
+    test('should validate sequence rules', () => {
+      const rule = {
+        type: 'sequence',
+        time: '12:00',
+        when: { type: 'weekly', days: ['mon'] },
+        steps: [
+          { duration_minutes: 60, status: { text: 'At lunch', emoji: ':taco:' } },
+          { duration_minutes: 30, status: { text: 'Catching up', emoji: ':inbox_tray:' } },
+        ],
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, when: undefined })).toHaveLength(0);
+      expect(validateRule({ ...rule, steps: undefined })).toEqual([
+        'Sequence rule must specify a non-empty steps array',
+      ]);
+      expect(
+        validateRule({
+          ...rule,
+          status: { text: 'Lunch', emoji: ':taco:' },
+          duration_minutes: 90,
+          when: { type: 'weekly', days: ['someday'] },
+          steps: [{ duration_minutes: 0, status: { text: 'At lunch', emoji: ':taco:' } }, {}],
+        }),
+      ).toEqual([
+        'Sequence rule cannot specify a status; each step has its own',
+        'Sequence rule cannot specify duration_minutes or end_time; steps set the length',
+        'when: Invalid days: someday. Must be: mon, tue, wed, thu, fri, sat, sun',
+        'steps[0]: duration_minutes must be a positive integer',
+        'steps[1]: duration_minutes must be a positive integer',
+        'steps[1]: Step must specify a status',
+      ]);
+    });
+
+    test('should validate status pools', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['mon'],
+        status: {
+          emoji: ':brain:',
+          pick: 'weighted',
+          pool: [
+            { text: 'Deep work', weight: 2 },
+            { text: 'In the zone', emoji: ':headphones:' },
+          ],
+        },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, status: { emoji: ':brain:', pool: [] } })).toEqual([
+        'Status: pool must be a non-empty array of status variants',
+      ]);
+      expect(
+        validateRule({
+          ...rule,
+          status: {
+            pick: 'random',
+            pool: [
+              { text: 'x'.repeat(101), emoji: ':brain:' },
+              { text: 'Heads down', weight: 0 },
+              null,
+            ],
+          },
+        }),
+      ).toEqual([
+        'Status: Invalid pick: random. Must be one of: round_robin, weighted, day_of_year',
+        'Status: pool[0]: Status text must be 100 characters or less',
+        'Status: pool[1]: weight must be a positive number',
+        'Status: pool[1]: Status must specify emoji',
+        'Status: pool[2]: Variant must be an object',
+      ]);
+    });
+
+    test('should validate status templates', () => {
+      const rule = {
+        id: 'vacation',
+        type: 'weekly',
+        days: ['mon'],
+        status: { text: 'Vacation - back {{next_workday:ddd D MMM}}', emoji: ':palm_tree:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(
+        validateRule({ ...rule, status: { text: 'Back {{next_workday', emoji: ':palm_tree:' } }),
+      ).toEqual(['Status: Invalid status template: Unclosed tag at position 6']);
+
+      // 79 characters of text plus "Wednesday 27 September" is over the limit
+      const text = `${'x'.repeat(78)} {{next_workday:dddd D MMMM}}`;
+      expect(validateRule({ ...rule, status: { text, emoji: ':palm_tree:' } })).toEqual([
+        'Status: Status text must be 100 characters or less once rendered',
+      ]);
+    });
+
     test('should reject rule without type', () => {
       const rule = {
         status: { text: 'Test', emoji: ':test:' },
@@ -169,7 +704,7 @@ describe('Schedule Validator', () => {
 
       const errors = validateRule(rule);
       expect(errors).toContain(
-        "Invalid rule type: invalid_type. Must be 'weekly', 'every_n_days', or 'dates'",
+        "Invalid rule type: invalid_type. Must be 'weekly', 'every_n_days', 'dates', 'monthly', 'annual', 'date_range', 'cron', 'composite', 'holiday', or 'sequence'",
       );
     });
 
@@ -195,6 +730,56 @@ describe('Schedule Validator', () => {
       expect(errors).toContain('Invalid time format: 25:00. Must be HH:MM format');
     });
 
+    test('should validate active window fields', () => {
+      const base = {
+        type: 'weekly',
+        days: ['mon'],
+        time: '09:00',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule({ ...base, duration_minutes: 90 })).toHaveLength(0);
+      expect(validateRule({ ...base, end_time: '17:00' })).toHaveLength(0);
+      expect(validateRule({ ...base, duration_minutes: 0 })).toContain(
+        'duration_minutes must be a positive integer',
+      );
+      expect(validateRule({ ...base, end_time: '9am' })).toContain(
+        'Invalid end_time format: 9am. Must be HH:MM format',
+      );
+      expect(validateRule({ ...base, end_time: '09:00' })).toContain(
+        'end_time must differ from time',
+      );
+      expect(validateRule({ ...base, duration_minutes: 30, end_time: '10:00' })).toContain(
+        'Rule cannot specify both duration_minutes and end_time',
+      );
+    });
+
+    test('should validate rule timezone', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['mon'],
+        tz: 'Asia/Tokyo',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, tz: 'Mars/Olympus' })).toContain(
+        'Invalid rule timezone: Mars/Olympus',
+      );
+    });
+
+    test('should validate enabled flag', () => {
+      const rule = {
+        type: 'weekly',
+        days: ['mon'],
+        enabled: false,
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, enabled: 'no' })).toContain('enabled must be a boolean');
+    });
+
     test('should reject weekly rule without days', () => {
       const rule = {
         type: 'weekly',
@@ -241,7 +826,7 @@ describe('Schedule Validator', () => {
       expect(errors).toContain('Invalid start_date format: 2024-13-01. Must be YYYY-MM-DD');
     });
 
-    test('should reject interval rule without interval_days', () => {
+    test('should reject interval rule without interval_days or interval', () => {
       const rule = {
         type: 'every_n_days',
         start_date: '2024-01-01',
@@ -249,7 +834,7 @@ describe('Schedule Validator', () => {
       };
 
       const errors = validateRule(rule);
-      expect(errors).toContain('Interval rule must specify interval_days');
+      expect(errors).toContain('Interval rule must specify interval_days or interval');
     });
 
     test('should reject interval rule with invalid interval_days', () => {
@@ -264,6 +849,27 @@ describe('Schedule Validator', () => {
       expect(errors).toContain('interval_days must be a positive integer');
     });
 
+    test('should validate interval and interval_unit', () => {
+      const rule = {
+        type: 'every_n_days',
+        start_date: '2024-01-01',
+        interval: 3,
+        interval_unit: 'business_days',
+        status: { text: 'Test', emoji: ':test:' },
+      };
+
+      expect(validateRule(rule)).toHaveLength(0);
+      expect(validateRule({ ...rule, interval_days: 3 })).toContain(
+        'Interval rule cannot specify both interval_days and interval',
+      );
+      expect(validateRule({ ...rule, interval_unit: 'fortnights' })).toContain(
+        'Invalid interval_unit: fortnights. Must be one of: days, business_days, weeks, months',
+      );
+      expect(validateRule({ ...rule, interval: undefined, interval_days: 3 })).toContain(
+        'interval_unit can only be used together with interval',
+      );
+    });
+
     test('should reject dates rule without dates', () => {
       const rule = {
         type: 'dates',
@@ -386,6 +992,24 @@ describe('Schedule Validator', () => {
       expect(result.errors).toContain('Rule 1: Missing status emoji');
     });
 
+    test('should check slot statuses in quick validation', () => {
+      const schedule = {
+        timezone: 'America/Los_Angeles',
+        rules: [
+          {
+            type: 'weekly',
+            days: ['mon'],
+            slots: [
+              { time: '09:00', status: { text: 'Working', emoji: ':computer:' } },
+              { time: '12:00', status: { text: 'Lunch' } },
+            ],
+          },
+        ],
+      };
+
+      expect(quickValidate(schedule).errors).toEqual(['Rule 1: Missing status emoji']);
+    });
+
     test('should handle null schedule', () => {
       const result = quickValidate(null);
       expect(result.valid).toBe(false);
@@ -0,0 +1,354 @@
+/**
+ * Tests for state stores and skipping redundant updates
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DateTime } from 'luxon';
+import {
+  createMemoryStateStore,
+  createFileStateStore,
+  createKVStateStore,
+  isAlreadyApplied,
+} from '../src/state/index.js';
+import { SlackStatusScheduler } from '../src/index.js';
+
+describe('State Stores', () => {
+  const state = {
+    action: 'update_status',
+    rule: 'focus',
+    status: { text: 'Focus time', emoji: ':brain:' },
+    expiration: '2024-01-08T12:00:00.000-08:00',
+  };
+
+  describe('createMemoryStateStore', () => {
+    test('should store a copy of the state', async () => {
+      const store = createMemoryStateStore();
+      expect(store.persistent).toBe(false);
+      expect(await store.get()).toBeNull();
+
+      const saved = { ...state, status: { ...state.status } };
+      await store.set(saved);
+      saved.status.text = 'Changed';
+
+      expect(await store.get()).toEqual(state);
+    });
+  });
+
+  describe('createFileStateStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'slack-status-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    test('should return null until state is written', async () => {
+      const path = join(directory, 'nested', 'state.json');
+      const store = createFileStateStore(path);
+
+      expect(store.persistent).toBe(true);
+      expect(await store.get()).toBeNull();
+      await store.set(state);
+
+      expect(JSON.parse(await readFile(path, 'utf8'))).toEqual(state);
+      expect(await createFileStateStore(path).get()).toEqual(state);
+    });
+
+    test('should report an unreadable state file', async () => {
+      const path = join(directory, 'state.json');
+      await writeFile(path, '{ not json');
+
+      await expect(createFileStateStore(path).get()).rejects.toThrow(
+        `Failed to read state file ${path}`,
+      );
+    });
+  });
+
+  describe('createKVStateStore', () => {
+    test('should store state as JSON under a key', async () => {
+      const values = new Map();
+      const namespace = {
+        get: jest.fn(async (key, type) => {
+          const value = values.get(key) ?? null;
+          return type === 'json' && value ? JSON.parse(value) : value;
+        }),
+        put: jest.fn(async (key, value) => values.set(key, value)),
+      };
+      const store = createKVStateStore(namespace, 'alice');
+
+      expect(await store.get()).toBeNull();
+      await store.set(state);
+
+      expect(namespace.put).toHaveBeenCalledWith('alice', JSON.stringify(state));
+      expect(await store.get()).toEqual(state);
+    });
+
+    test('should require a namespace', () => {
+      expect(() => createKVStateStore(undefined)).toThrow('KV namespace binding is required');
+    });
+  });
+
+  describe('isAlreadyApplied', () => {
+    test('should compare rule, status and expiration', () => {
+      expect(isAlreadyApplied(null, state)).toBe(false);
+      expect(isAlreadyApplied({ ...state, appliedAt: '2024-01-08' }, state)).toBe(true);
+      expect(isAlreadyApplied({ ...state, rule: 'lunch' }, state)).toBe(false);
+      expect(isAlreadyApplied({ ...state, expiration: null }, state)).toBe(false);
+      expect(
+        isAlreadyApplied({ ...state, status: { text: 'Focus time', emoji: ':zap:' } }, state),
+      ).toBe(false);
+      expect(isAlreadyApplied({ action: 'clear_status' }, { action: 'clear_status' })).toBe(true);
+      expect(isAlreadyApplied({ action: 'clear_status' }, state)).toBe(false);
+    });
+  });
+
+  describe('SlackStatusScheduler', () => {
+    // Monday 10:00 in Los Angeles
+    const now = DateTime.fromISO('2024-01-08T10:00:00', { zone: 'America/Los_Angeles' });
+    let scheduler;
+    let store;
+
+    beforeEach(async () => {
+      store = createMemoryStateStore();
+      scheduler = new SlackStatusScheduler({ logLevel: 'error', stateStore: store });
+      await scheduler.initialize({
+        version: 1,
+        timezone: 'America/Los_Angeles',
+        rules: [
+          {
+            id: 'focus',
+            type: 'weekly',
+            days: ['mon'],
+            time: '09:00',
+            end_time: '12:00',
+            status: { text: 'Focus time', emoji: ':brain:' },
+          },
+        ],
+        options: { clear_when_no_match: true },
+      });
+      scheduler.slackClient = { updateStatus: jest.fn(), clearStatus: jest.fn() };
+    });
+
+    test('should skip an update that is already applied', async () => {
+      const first = await scheduler.run(now);
+      expect(first.action).toBe('update_status');
+      expect(await store.get()).toMatchObject({
+        action: 'update_status',
+        rule: 'focus',
+        status: { text: 'Focus time', emoji: ':brain:' },
+        expiration: '2024-01-08T12:00:00.000-08:00',
+      });
+
+      const second = await scheduler.run(now.plus({ minutes: 15 }));
+      expect(second).toMatchObject({
+        success: true,
+        action: 'unchanged',
+        rule: 'focus',
+        status: { text: 'Focus time' },
+      });
+      expect(scheduler.slackClient.updateStatus).toHaveBeenCalledTimes(1);
+    });
+
+    test('should update when forced', async () => {
+      await scheduler.run(now);
+      const result = await scheduler.run(now, { force: true });
+
+      expect(result.action).toBe('update_status');
+      expect(scheduler.slackClient.updateStatus).toHaveBeenCalledTimes(2);
+    });
+
+    test('should clear only once', async () => {
+      const evening = now.set({ hour: 18 });
+
+      expect((await scheduler.run(evening)).action).toBe('clear_status');
+      expect((await scheduler.run(evening.plus({ hours: 1 }))).action).toBe('unchanged');
+      expect(scheduler.slackClient.clearStatus).toHaveBeenCalledTimes(1);
+
+      expect((await scheduler.run(now.plus({ days: 7 }))).action).toBe('update_status');
+    });
+
+    test('should not record state when the update fails', async () => {
+      scheduler.slackClient.updateStatus.mockRejectedValueOnce(new Error('Slack is down'));
+
+      await expect(scheduler.run(now)).rejects.toThrow('Slack is down');
+      expect(await store.get()).toBeNull();
+    });
+
+    test('should update anyway when the state cannot be read', async () => {
+      store.get = jest.fn().mockRejectedValue(new Error('Disk error'));
+
+      expect((await scheduler.run(now)).action).toBe('update_status');
+      expect((await scheduler.run(now)).action).toBe('update_status');
+    });
+
+    test('should neither read nor write state on dry runs', async () => {
+      await scheduler.run(now);
+      const before = await store.get();
+
+      expect((await scheduler.preview(now.plus({ days: 7 }))).action).toBe('update_status');
+      expect(await store.get()).toEqual(before);
+    });
+
+    describe('clear_on_manual_change', () => {
+      const focus = { status_text: 'Focus time', status_emoji: ':brain:' };
+      const lunch = { status_text: 'Lunch & a walk', status_emoji: ':sandwich:' };
+
+      beforeEach(async () => {
+        scheduler.schedule.options.clear_on_manual_change = true;
+        scheduler.slackClient.getCurrentUser = jest.fn().mockResolvedValue(focus);
+        await scheduler.run(now);
+      });
+
+      test('should leave a status set by hand until the next transition', async () => {
+        scheduler.slackClient.getCurrentUser.mockResolvedValue({
+          ...lunch,
+          status_text: 'Lunch &amp; a walk',
+        });
+
+        const result = await scheduler.run(now.plus({ minutes: 30 }));
+        expect(result).toMatchObject({
+          success: true,
+          action: 'manual_change',
+          rule: 'focus',
+          manualStatus: { text: 'Lunch & a walk', emoji: ':sandwich:' },
+          until: '2024-01-08T12:00:00.000-08:00',
+        });
+
+        // Still backing off, without asking Slack again
+        expect((await scheduler.run(now.plus({ hours: 1 }))).action).toBe('manual_change');
+        expect(scheduler.slackClient.getCurrentUser).toHaveBeenCalledTimes(1);
+        expect(scheduler.slackClient.updateStatus).toHaveBeenCalledTimes(1);
+
+        // Next Monday the rule applies again
+        expect((await scheduler.run(now.plus({ days: 7 }))).action).toBe('update_status');
+        expect(scheduler.slackClient.updateStatus).toHaveBeenCalledTimes(2);
+      });
+
+      test('should apply the schedule when a rule started since the last update', async () => {
+        scheduler.schedule.rules.push({
+          id: 'lunch',
+          type: 'weekly',
+          days: ['mon'],
+          time: '12:00',
+          end_time: '13:00',
+          status: { text: 'Lunch', emoji: ':sandwich:' },
+        });
+        scheduler.slackClient.getCurrentUser.mockResolvedValue(lunch);
+
+        // The status was changed by hand before 12:00, but nothing looked until now
+        const result = await scheduler.run(now.set({ hour: 12 }));
+        expect(result).toMatchObject({ action: 'update_status', rule: 'lunch' });
+      });
+
+      test('should stop backing off after the timeout', async () => {
+        scheduler.schedule.options.manual_change_timeout_minutes = 30;
+        scheduler.slackClient.getCurrentUser.mockResolvedValue(lunch);
+
+        const result = await scheduler.run(now.plus({ minutes: 10 }));
+        expect(result.until).toBe('2024-01-08T10:40:00.000-08:00');
+
+        expect((await scheduler.run(now.plus({ minutes: 45 }))).action).toBe('update_status');
+      });
+
+      test('should carry on when the status is unchanged or expired', async () => {
+        expect((await scheduler.run(now.plus({ minutes: 30 }))).action).toBe('unchanged');
+
+        // Slack cleared the status itself when the rule ended
+        scheduler.slackClient.getCurrentUser.mockResolvedValue({
+          status_text: '',
+          status_emoji: '',
+        });
+        expect((await scheduler.run(now.set({ hour: 13 }))).action).toBe('clear_status');
+      });
+
+      test('should overwrite a manual change when forced', async () => {
+        scheduler.slackClient.getCurrentUser.mockResolvedValue(lunch);
+
+        const result = await scheduler.run(now.plus({ minutes: 30 }), { force: true });
+        expect(result.action).toBe('update_status');
+      });
+    });
+
+    describe('clear_on_manual_change without a persistent store', () => {
+      const schedule = {
+        version: 1,
+        timezone: 'America/Los_Angeles',
+        rules: [
+          {
+            id: 'focus',
+            type: 'weekly',
+            days: ['mon'],
+            time: '09:00',
+            status: { text: 'Focus time', emoji: ':brain:' },
+          },
+        ],
+        options: { clear_on_manual_change: true },
+      };
+      const warning = expect.stringContaining('configure a persistent state store');
+      let logger;
+
+      beforeEach(() => {
+        logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      });
+
+      test('should warn when state is kept in memory', async () => {
+        const memoryScheduler = new SlackStatusScheduler({ logger });
+        await memoryScheduler.initialize(structuredClone(schedule), 'xoxp-test');
+
+        expect(logger.warn).toHaveBeenCalledWith(warning);
+      });
+
+      test('should not warn with a persistent store or on dry runs', async () => {
+        const fileScheduler = new SlackStatusScheduler({
+          logger,
+          stateStore: createFileStateStore(join(tmpdir(), 'slack-status-state.json')),
+        });
+        await fileScheduler.initialize(structuredClone(schedule), 'xoxp-test');
+
+        const dryRunScheduler = new SlackStatusScheduler({ logger, dryRun: true });
+        await dryRunScheduler.initialize(structuredClone(schedule), 'xoxp-test');
+
+        expect(logger.warn).not.toHaveBeenCalledWith(warning);
+      });
+    });
+
+    describe('clear_on_manual_change with a Unicode emoji', () => {
+      // Slack reports the emoji back as a shortcode
+      const focus = { status_text: 'Focus time', status_emoji: ':brain:' };
+
+      beforeEach(() => {
+        scheduler.schedule.options.clear_on_manual_change = true;
+        scheduler.schedule.rules[0].status.emoji = '🧠';
+        scheduler.slackClient.getCurrentUser = jest.fn().mockResolvedValue(focus);
+      });
+
+      test('should compare with the profile Slack returned when setting the status', async () => {
+        scheduler.slackClient.updateStatus.mockResolvedValue({ ok: true, profile: focus });
+        await scheduler.run(now);
+        expect((await store.get()).profile).toEqual({ text: 'Focus time', emoji: ':brain:' });
+
+        expect((await scheduler.run(now.plus({ minutes: 30 }))).action).toBe('unchanged');
+
+        scheduler.slackClient.getCurrentUser.mockResolvedValue({ ...focus, status_emoji: ':zap:' });
+        expect((await scheduler.run(now.plus({ hours: 1 }))).action).toBe('manual_change');
+      });
+
+      test('should compare text only when Slack returned no profile', async () => {
+        await scheduler.run(now);
+        expect((await scheduler.run(now.plus({ minutes: 30 }))).action).toBe('unchanged');
+
+        scheduler.slackClient.getCurrentUser.mockResolvedValue({
+          status_text: 'Lunch',
+          status_emoji: ':brain:',
+        });
+        expect((await scheduler.run(now.plus({ hours: 1 }))).action).toBe('manual_change');
+      });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for status pools
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { DateTime } from 'luxon';
+import { getStatusVariants, pickStatus } from '../src/scheduler/status-pool.js';
+
+describe('Status Pools', () => {
+  const day = iso => DateTime.fromISO(iso, { zone: 'America/Los_Angeles' });
+  const pool = [{ text: 'Deep work' }, { text: 'Heads down' }, { text: 'In the zone' }];
+
+  describe('getStatusVariants', () => {
+    test('should merge shared properties into each variant', () => {
+      const status = { emoji: ':brain:', expire_hour: 17, pool };
+
+      expect(getStatusVariants(status)).toEqual([
+        { emoji: ':brain:', expire_hour: 17, text: 'Deep work' },
+        { emoji: ':brain:', expire_hour: 17, text: 'Heads down' },
+        { emoji: ':brain:', expire_hour: 17, text: 'In the zone' },
+      ]);
+    });
+
+    test('should drop pool settings and weights', () => {
+      const status = {
+        emoji: ':brain:',
+        pick: 'weighted',
+        seed: 'focus',
+        pool: [{ text: 'Deep work', emoji: ':headphones:', weight: 2 }],
+      };
+
+      expect(getStatusVariants(status)).toEqual([{ text: 'Deep work', emoji: ':headphones:' }]);
+    });
+
+    test('should return a plain status unchanged', () => {
+      const status = { text: 'Working', emoji: ':computer:' };
+      expect(getStatusVariants(status)).toEqual([status]);
+    });
+  });
+
+  describe('pickStatus', () => {
+    test('should rotate round robin one variant per day', () => {
+      const status = { emoji: ':brain:', pool };
+      const texts = ['2024-01-08', '2024-01-09', '2024-01-10', '2024-01-11'].map(
+        date => pickStatus(status, day(date)).text,
+      );
+
+      expect(new Set(texts.slice(0, 3)).size).toBe(3);
+      expect(texts[3]).toBe(texts[0]);
+    });
+
+    test('should rotate by day of year', () => {
+      const status = { emoji: ':brain:', pick: 'day_of_year', pool };
+
+      expect(pickStatus(status, day('2024-01-01T09:00')).text).toBe('Deep work');
+      expect(pickStatus(status, day('2024-01-02T09:00')).text).toBe('Heads down');
+      expect(pickStatus(status, day('2024-02-01T09:00')).text).toBe('Heads down');
+      expect(pickStatus(status, day('2025-01-01T09:00')).text).toBe('Deep work');
+    });
+
+    test('should pick weighted variants deterministically per date and seed', () => {
+      const status = { emoji: ':brain:', pick: 'weighted', seed: 'focus', pool };
+      const dates = Array.from({ length: 30 }, (_, index) =>
+        day('2024-01-01').plus({ days: index }),
+      );
+      const picks = dates.map(date => pickStatus(status, date).text);
+
+      expect(dates.map(date => pickStatus(status, date.set({ hour: 15 })).text)).toEqual(picks);
+      expect(new Set(picks).size).toBeGreaterThan(1);
+      expect(dates.map(date => pickStatus({ ...status, seed: 'other' }, date).text)).not.toEqual(
+        picks,
+      );
+    });
+
+    test('should follow the weights', () => {
+      const status = {
+        emoji: ':brain:',
+        pick: 'weighted',
+        pool: [{ text: 'Common', weight: 9 }, { text: 'Rare' }],
+      };
+
+      const picks = Array.from(
+        { length: 200 },
+        (_, index) => pickStatus(status, day('2024-01-01').plus({ days: index }), 'rule').text,
+      );
+      const common = picks.filter(text => text === 'Common').length;
+
+      expect(common).toBeGreaterThan(150);
+      expect(common).toBeLessThan(200);
+    });
+
+    test('should return a plain status unchanged', () => {
+      const status = { text: 'Working', emoji: ':computer:' };
+      expect(pickStatus(status, day('2024-01-08'))).toBe(status);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for status text templates
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { DateTime } from 'luxon';
+import {
+  parseTemplate,
+  renderTemplate,
+  renderTemplateSample,
+  TemplateError,
+} from '../src/scheduler/template.js';
+import { createWorkCalendar } from '../src/scheduler/calendar.js';
+import { SlackStatusScheduler } from '../src/index.js';
+
+describe('Status Templates', () => {
+  // Friday 2024-12-20, 16:30 in Los Angeles
+  const now = DateTime.fromISO('2024-12-20T16:30:00', { zone: 'America/Los_Angeles' });
+  const render = (text, context = {}) => renderTemplate(text, { now, ...context });
+
+  describe('parseTemplate', () => {
+    test('should split text and tags', () => {
+      expect(parseTemplate('Back {{next_workday:ddd D MMM}} ({{tz_abbrev}})')).toEqual([
+        'Back ',
+        { name: 'next_workday', args: ['ddd D MMM'] },
+        ' (',
+        { name: 'tz_abbrev', args: [] },
+        ')',
+      ]);
+    });
+
+    test('should reject invalid templates', () => {
+      expect(() => parseTemplate('Back {{next_workday')).toThrow('Unclosed tag at position 6');
+      expect(() => parseTemplate('{{weather}}')).toThrow(/^Unknown variable: weather/);
+      expect(() => parseTemplate('{{rule_id:x}}')).toThrow('rule_id does not take an argument');
+      expect(() => parseTemplate('{{days_until}}')).toThrow('days_until takes 1 argument(s)');
+      expect(() => parseTemplate('{{days_until:next week}}')).toThrow(
+        'days_until needs a YYYY-MM-DD date, got: next week',
+      );
+      expect(() => parseTemplate('{{time_in:Mars/Olympus}}')).toThrow(TemplateError);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('should render dates with format tokens', () => {
+      expect(render('{{date}}')).toBe('Fri 20 Dec');
+      expect(render('{{date:dddd, MMMM Do YYYY}}')).toBe('Friday, December 20th 2024');
+      expect(render('{{time}} / {{time:h:mm a}}')).toBe('16:30 / 4:30 pm');
+      expect(render('{{date:[Week of] D/M}}')).toBe('Week of 20/12');
+    });
+
+    test('should find the next working day', () => {
+      expect(render('Back {{next_workday}}')).toBe('Back Mon 23 Dec');
+
+      const calendar = createWorkCalendar({ holidays: { country: 'US' } });
+      const christmasEve = now.set({ day: 24 });
+      expect(render('Back {{next_workday:dddd D}}', { now: christmasEve, calendar })).toBe(
+        'Back Thursday 26',
+      );
+    });
+
+    test('should count days until a date', () => {
+      expect(render('Vacation in {{days_until:2024-12-25}} days')).toBe('Vacation in 5 days');
+      expect(render('{{days_until:2024-12-20}}')).toBe('0');
+      expect(render('{{days_until:2024-01-01}}')).toBe('0');
+    });
+
+    test('should count whole days across a DST change', () => {
+      const march = DateTime.fromISO('2024-03-09T23:30:00', { zone: 'America/Los_Angeles' });
+      expect(render('{{days_until:2024-03-11}}', { now: march })).toBe('2');
+    });
+
+    test('should render the rule, timezone and other zones', () => {
+      expect(render('{{rule_id}} in {{tz_abbrev}}', { ruleId: 'holiday' })).toBe('holiday in PST');
+      expect(render('London {{time_in:Europe/London}}')).toBe('London 00:30');
+      expect(render('Tokyo {{time_in:Asia/Tokyo|h A}}')).toBe('Tokyo 9 AM');
+    });
+
+    test('should render the next rule start', () => {
+      const getNextStart = () => now.set({ hour: 18, minute: 0 });
+
+      expect(render('Until {{next_start}}', { getNextStart })).toBe('Until 18:00');
+      expect(render('Until {{next_start:ddd h A}}', { getNextStart })).toBe('Until Fri 6 PM');
+      expect(render('Until {{next_start}}', { getNextStart: () => null })).toBe('Until ');
+    });
+  });
+
+  describe('renderTemplateSample', () => {
+    test('should render the longest values', () => {
+      expect(renderTemplateSample('{{date:dddd D MMMM}} {{tz_abbrev}} {{rule_id}}', 'ooo')).toBe(
+        'Wednesday 27 September GMT+10:30 ooo',
+      );
+    });
+  });
+
+  describe('SlackStatusScheduler', () => {
+    test('should render templates when previewing and listing changes', async () => {
+      const scheduler = new SlackStatusScheduler({ dryRun: true, logLevel: 'error' });
+      await scheduler.initialize({
+        version: 1,
+        timezone: 'America/Los_Angeles',
+        rules: [
+          {
+            id: 'ooo',
+            type: 'weekly',
+            days: ['fri'],
+            time: '09:00',
+            end_time: '17:00',
+            status: { text: 'OOO until {{next_start:dddd h A}}', emoji: ':palm_tree:' },
+          },
+          {
+            id: 'weekend',
+            type: 'weekly',
+            days: ['sat'],
+            time: '08:00',
+            status: { text: 'Weekend', emoji: ':sunny:' },
+          },
+        ],
+      });
+
+      const result = await scheduler.preview(now);
+      expect(result.status.text).toBe('OOO until Saturday 8 AM');
+
+      const changes = scheduler.getUpcomingChanges(7);
+      const ooo = changes.find(change => change.rule.id === 'ooo');
+      expect(ooo.status.text).toBe('OOO until Saturday 8 AM');
+    });
+  });
+});